@@ -1,5 +1,7 @@
 import utils from '../lib/utils.js'
 import state from '../lib/state.js'
+import homie from '../lib/homie.js'
+import metrics from '../lib/metrics.js'
 import chalk from 'chalk'
 
 // Base class with functions common to all devices
@@ -10,6 +12,7 @@ export default class RingDevice {
         this.locationId = apiType === 'socket' ? deviceInfo.device.location.locationId : deviceInfo.device.data.location_id
         this.availabilityState = 'unpublished'
         this.entity = {}
+        this.publishedValues = {}
         this.isOnline = () => {
             return this.availabilityState === 'online' ? true : false
         }
@@ -20,6 +23,7 @@ export default class RingDevice {
         // Build device base and availability topic
         this.deviceTopic = `${utils.config().ring_topic}/${this.locationId}/${category}/${this.deviceId}`
         this.availabilityTopic = `${this.deviceTopic}/status`
+        this.bridgeAvailabilityTopic = `${utils.config().ring_topic}/bridge/status`
 
         if (deviceInfo.hasOwnProperty('parentDevice')) {
             this.parentDevice = deviceInfo.parentDevice
@@ -42,6 +46,22 @@ export default class RingDevice {
     async publishDiscovery() {
         const debugMsg = (this.availabilityState === 'unpublished') ? 'Publishing new ' : 'Republishing existing '
         this.debug(debugMsg+'device id: '+this.deviceId, 'disc')
+        const discoveryTopics = []
+        const homieEntities = []
+
+        // Add an event entity for command results if enabled and the device accepts commands
+        if (utils.config().enable_command_events && !this.entity.hasOwnProperty('command_result') &&
+            Object.values(this.entity).some(entity => entity.component.match(/^(switch|number|light|fan|lock|alarm_control_panel|select|text|button|valve|climate)$/))) {
+            this.entity.command_result = {
+                component: 'event',
+                category: 'diagnostic',
+                name: 'Command Result',
+                parent_state_topic: 'command_result',
+                event_types: [ 'success', 'failure' ],
+                value_template: '{{ dict(value_json, event_type=("success" if value_json.success else "failure")) | to_json }}',
+                icon: 'mdi:console-line'
+            }
+        }
 
         Object.keys(this.entity).forEach(entityKey => {
             const entity = this.entity[entityKey]
@@ -70,7 +90,7 @@ export default class RingDevice {
                         : entity.component === 'camera'
                             ? { topic: entityStateTopic }
                             : {},
-                ...entity.component.match(/^(switch|number|light|fan|lock|alarm_control_panel|select|button|valve)$/)
+                ...entity.component.match(/^(switch|number|light|fan|lock|alarm_control_panel|select|text|button|valve)$/)
                     ? { command_topic: `${entityTopic}/command` }
                     : {},
                 ...entity.hasOwnProperty('device_class')
@@ -157,16 +177,39 @@ export default class RingDevice {
                 ...entity.component === 'select'
                     ? { options: entity.options }
                     : {},
-                availability_topic: this.availabilityTopic,
-                payload_available: 'online',
-                payload_not_available: 'offline',
+                ...entity.hasOwnProperty('event_types')
+                    ? { event_types: entity.event_types }
+                    : {},
+                // Entities are only available if both the device and the ring-mqtt bridge are online
+                availability: [
+                    { topic: this.availabilityTopic, payload_available: 'online', payload_not_available: 'offline' },
+                    ...this.availabilityTopic !== this.bridgeAvailabilityTopic
+                        ? [ { topic: this.bridgeAvailabilityTopic, payload_available: 'online', payload_not_available: 'offline' } ]
+                        : []
+                ],
+                availability_mode: 'all',
                 device: this.deviceData
             }
 
-            const configTopic = `homeassistant/${entity.component}/${this.locationId}/${this.deviceId}_${entityKey}/config`
-            this.debug(`HASS config topic: ${configTopic}`, 'disc')
-            this.debug(discoveryMessage, 'disc')
-            this.mqttPublish(configTopic, JSON.stringify(discoveryMessage), false)
+            // Apply any user configured overrides for this entity
+            const overrides = utils.config().entity_overrides[this.deviceId]?.[entityKey]
+            if (overrides) {
+                this.applyEntityOverrides(discoveryMessage, overrides)
+            }
+
+            // Discovery messages are still built when discovery is disabled or the entity is
+            // excluded as the entity state and command topics are derived from them
+            if (overrides?.exclude) {
+                this.debug(`Entity ${entityKey} is excluded by configuration, skipping discovery`, 'disc')
+            } else if (utils.config().discovery_mode === 'homeassistant') {
+                const configTopic = `${utils.config().discovery_prefix}/${entity.component}/${this.locationId}/${this.deviceId}_${entityKey}/config`
+                this.debug(`HASS config topic: ${configTopic}`, 'disc')
+                this.debug(discoveryMessage, 'disc')
+                this.mqttPublish(configTopic, JSON.stringify(discoveryMessage), false)
+                discoveryTopics.push(configTopic)
+            } else if (utils.config().discovery_mode === 'homie') {
+                homieEntities.push({ entityKey, entity, discoveryMessage })
+            }
 
             // On first publish store generated topics in entities object and subscribe to command/debug topics
             if (!this.entity[entityKey].hasOwnProperty('published')) {
@@ -176,11 +219,7 @@ export default class RingDevice {
                     if (topic.match('command_topic')) {
                         utils.event.emit('mqtt_subscribe', discoveryMessage[topic])
                         utils.event.on(discoveryMessage[topic], (command, message) => {
-                            if (message) {
-                                this.processCommand(command, message)
-                            } else {
-                                this.debug(`Received invalid or null value to command topic ${command}`)
-                            }
+                            this.executeCommand(command, message)
                         })
 
                         // Entity uses internal MQTT broker for inter-process communications
@@ -200,6 +239,29 @@ export default class RingDevice {
                 })
             }
         })
+
+        if (utils.config().discovery_mode === 'homie') {
+            this.debug(`Homie device topic: ${utils.config().discovery_prefix}/${homie.getId(this.deviceId)}`, 'disc')
+            discoveryTopics.push(...homie.publishDevice(this, homieEntities))
+        }
+
+        // Subscribe to the device JSON set topic on first publish if the device accepts commands
+        if (!this.setTopicSubscribed && this.getCommandEntities().length > 0) {
+            this.setTopicSubscribed = true
+            utils.event.emit('mqtt_subscribe', `${this.deviceTopic}/set`)
+            utils.event.on(`${this.deviceTopic}/set`, (command, message) => {
+                this.executeSetCommand(message)
+            })
+        }
+
+        // Remove any previously published entities which no longer exist for this device
+        state.getDeviceDiscoveryTopics(this.deviceId)
+            .filter(topic => !discoveryTopics.includes(topic))
+            .forEach(topic => {
+                this.debug(`Removing stale discovery config topic: ${topic}`, 'disc')
+                this.clearRetainedTopic(topic)
+            })
+        state.setDeviceDiscoveryTopics(this.deviceId, discoveryTopics)
     }
 
     // Refresh device info attributes on a sechedule
@@ -231,10 +293,226 @@ export default class RingDevice {
 
     // Publish state messages with debug
     mqttPublish(topic, message, debugType, maskedMessage) {
+        if (this.removed) { return }
         if (debugType !== false) {
             this.debug(chalk.blue(`${topic} `)+chalk.cyan(`${maskedMessage ? maskedMessage : message}`), debugType)
         }
+        // Keep last published text values for the local API and dashboard (camera images are not stored)
+        if (typeof message === 'string' || typeof message === 'number') {
+            this.publishedValues[topic] = { value: message, timestamp: Date.now() }
+        }
         utils.event.emit('mqtt_publish', topic, message)
+        if (this.homie?.stateTopics[topic]) {
+            homie.publishValue(this.homie.stateTopics[topic], message)
+        }
+    }
+
+    // Run a received command and publish the result to the device command_result topic
+    async executeCommand(command, message) {
+        if (this.removed) { return }
+        const startTime = Date.now()
+        const result = {
+            command,
+            // Stream commands from the internal broker include the RTSP publish URL
+            value: message && message.toLowerCase().startsWith('on-demand') ? message.split(' ')[0] : message,
+            success: true,
+            error: null
+        }
+
+        try {
+            if (!message) {
+                throw new Error(`Received invalid or null value to command topic ${command}`)
+            }
+            await this.processCommand(command, message)
+        } catch (err) {
+            this.debug(chalk.yellow(err.message))
+            result.success = false
+            result.error = err.message
+        }
+
+        result.duration_ms = Date.now() - startTime
+        metrics.countCommand(this.device.deviceType, result.success)
+        this.mqttPublish(`${this.deviceTopic}/command_result`, JSON.stringify(result), 'attr')
+        return result
+    }
+
+    // Run all commands from a JSON object received on the device set topic, for example
+    // {"light": {"state": "ON", "brightness": 50}, "beam_duration": 60}, and publish a
+    // single combined result. Processing stops at the first failed command.
+    async executeSetCommand(message) {
+        if (this.removed) { return }
+        const startTime = Date.now()
+        const result = { command: 'set', value: message, success: true, error: null, results: [] }
+
+        try {
+            for (const [command, value] of this.parseSetCommand(message)) {
+                const commandStartTime = Date.now()
+                try {
+                    await this.processCommand(command, value)
+                    result.results.push({ command, value, success: true, error: null, duration_ms: Date.now() - commandStartTime })
+                } catch (err) {
+                    result.results.push({ command, value, success: false, error: err.message, duration_ms: Date.now() - commandStartTime })
+                    throw err
+                }
+            }
+        } catch (err) {
+            this.debug(chalk.yellow(err.message))
+            result.success = false
+            result.error = err.message
+        }
+
+        result.duration_ms = Date.now() - startTime
+        metrics.countCommand(this.device.deviceType, result.success)
+        this.mqttPublish(`${this.deviceTopic}/command_result`, JSON.stringify(result), 'attr')
+        return result
+    }
+
+    // Convert a JSON set message to an ordered list of [command, value] pairs. Scalar values are sent
+    // to the main command of the entity, object values map the "state" key to the main command and
+    // any other key to the matching <key>_command topic. Config entities (number/select/text) are
+    // applied first and buttons last, with mode commands applied before any other entity command.
+    parseSetCommand(message) {
+        let request
+        try {
+            request = JSON.parse(message)
+        } catch {
+            throw new Error('Received set command that is not valid JSON')
+        }
+        if (typeof request !== 'object' || request === null || Array.isArray(request)) {
+            throw new Error('Received set command that is not a JSON object')
+        }
+        if (Object.keys(request).length === 0) {
+            throw new Error('Received empty set command')
+        }
+
+        const commandEntities = this.getCommandEntities()
+        const commands = []
+        for (const [entityIndex, [entityKey, entityValue]] of Object.entries(request).entries()) {
+            if (!commandEntities.includes(entityKey)) {
+                throw new Error(`Received set command for unknown or read-only entity: ${entityKey}`)
+            }
+            const entity = this.entity[entityKey]
+            const commandTopics = Object.keys(entity).filter(key => key.match('command_topic')).map(key => entity[key])
+            const values = typeof entityValue === 'object' && entityValue !== null
+                ? entityValue
+                : { [entity.command_topic ? 'state' : 'mode']: entityValue }
+            if (Object.keys(values).length === 0) {
+                throw new Error(`Received set command with no attributes for entity ${entityKey}`)
+            }
+
+            for (const [key, value] of Object.entries(values)) {
+                const command = `${entityKey}/${key === 'state' ? 'command' : `${key}_command`}`
+                if (!commandTopics.includes(`${this.deviceTopic}/${command}`)) {
+                    throw new Error(`Received set command for unknown attribute ${key} of entity ${entityKey}`)
+                }
+                // Null would otherwise be sent to the entity as the string "null"
+                if (typeof value === 'object' || value === '') {
+                    throw new Error(`Received set command with invalid value for ${command}`)
+                }
+                commands.push({
+                    command,
+                    value: typeof value === 'boolean' ? (value ? 'ON' : 'OFF') : String(value),
+                    order: (entity.component.match(/^(number|select|text)$/) ? 0 : entity.component === 'button' ? 2000 : 1000) +
+                        entityIndex * 10 + (key === 'mode' ? 0 : key === 'state' ? 1 : 2)
+                })
+            }
+        }
+
+        // Array sort is stable so attributes of the same rank keep the order they were received
+        return commands.sort((a, b) => a.order - b.order).map(c => [ c.command, c.value ])
+    }
+
+    // Entities with command topics which are not used for inter-process communications
+    getCommandEntities() {
+        return Object.keys(this.entity).filter(entityKey =>
+            !this.entity[entityKey].ipc &&
+            Object.keys(this.entity[entityKey]).some(key => key.match('command_topic'))
+        )
+    }
+
+    // Device summary, and optionally current entity values, for the local REST API
+    getApiData(includeEntities) {
+        return {
+            id: this.deviceId,
+            name: this.deviceData.name,
+            model: this.deviceData.mdl,
+            device_type: this.device.deviceType,
+            location_id: this.locationId,
+            availability: this.availabilityState,
+            entities: includeEntities
+                ? Object.fromEntries(Object.keys(this.entity).map(entityKey => [ entityKey, this.getEntityApiData(entityKey) ]))
+                : Object.keys(this.entity)
+        }
+    }
+
+    getEntityApiData(entityKey) {
+        const entity = this.entity[entityKey]
+        const entityData = { component: entity.component, state: null, attributes: null, properties: {}, commands: [], last_update: null }
+        const setUpdated = (published) => {
+            if (published && published.timestamp > entityData.last_update) {
+                entityData.last_update = published.timestamp
+            }
+        }
+
+        Object.keys(entity).filter(key => key.match(/topic$/) && key !== 'parent_state_topic' && typeof entity[key] === 'string').forEach(key => {
+            if (key.match(/command_topic$/)) {
+                entityData.commands.push(key === 'command_topic' ? 'state' : key.replace(/_command_topic$/, ''))
+                return
+            }
+            const published = this.publishedValues[entity[key]]
+            if (key === 'state_topic' || (key === 'mode_state_topic' && entity.component === 'climate')) {
+                // Entities using state from a parent JSON topic extract their value like the value_template does
+                const jsonKey = entity.value_template?.match(/value_json(?:\[["']?(\w+)["']?\]|\.(\w+))/)
+                let value = published?.value ?? null
+                if (jsonKey && value !== null) {
+                    try {
+                        value = JSON.parse(value)[jsonKey[1] || jsonKey[2]] ?? null
+                    } catch {
+                        value = null
+                    }
+                }
+                entityData.state = value
+            } else if (key === 'json_attributes_topic') {
+                try {
+                    entityData.attributes = published ? JSON.parse(published.value) : null
+                } catch {
+                    entityData.attributes = null
+                }
+            } else if (key !== 'topic') {
+                entityData.properties[key.replace(/(_state)?_topic$/, '')] = published?.value ?? null
+            }
+            setUpdated(published)
+        })
+
+        entityData.last_update = entityData.last_update ? utils.getISOTime(entityData.last_update) : null
+        return entityData
+    }
+
+    // Override name, icon, category or default enabled state of an entity from config
+    applyEntityOverrides(discoveryMessage, overrides) {
+        if (overrides.hasOwnProperty('name')) {
+            discoveryMessage.name = overrides.name
+        }
+        if (overrides.hasOwnProperty('icon')) {
+            discoveryMessage.icon = overrides.icon
+        }
+        if (overrides.hasOwnProperty('entity_category')) {
+            if (['config', 'diagnostic'].includes(overrides.entity_category)) {
+                discoveryMessage.entity_category = overrides.entity_category
+            } else if (!overrides.entity_category) {
+                delete discoveryMessage.entity_category
+            } else {
+                this.debug(`Ignoring invalid entity_category override: ${overrides.entity_category}`, 'disc')
+            }
+        }
+        if (overrides.hasOwnProperty('enabled_by_default')) {
+            discoveryMessage.enabled_by_default = Boolean(overrides.enabled_by_default)
+        }
+    }
+
+    // Publish an empty retained message to remove a topic from the broker and Home Assistant
+    clearRetainedTopic(topic) {
+        utils.event.emit('mqtt_publish', topic, '', { retain: true })
     }
 
     // Gets all saved state data for device
@@ -271,4 +549,12 @@ export default class RingDevice {
         this.availabilityState = 'offline'
         this.mqttPublish(this.availabilityTopic, this.availabilityState, debugType)
     }
+
+    // Stop publishing and processing commands for a device that is excluded by a configuration
+    // change, discovery topics are removed with those of other devices that are no longer published
+    remove() {
+        this.shutdown = true
+        this.offline()
+        this.removed = true
+    }
 }
@@ -51,25 +51,25 @@ export default class BaseStation extends RingSocketDevice {
         const entityKey = command.split('/')[0]
         switch (command) {
             case 'volume/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setVolumeLevel(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setVolumeLevel(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set volume level on received MQTT command message
-    setVolumeLevel(message) {
+    async setVolumeLevel(message) {
         const volume = message
         this.debug(`Received set volume level to ${volume}%`)
         if (isNaN(message)) {
-                this.debug('Volume command received but value is not a number')
+                throw new Error('Volume command received but value is not a number')
         } else if (!(message >= 0 && message <= 100)) {
-            this.debug('Volume command received but out of range (0-100)')
+            throw new Error('Volume command received but out of range (0-100)')
         } else {
-            this.device.setVolume(volume/100)
+            await this.device.setVolume(volume/100)
         }
     }
 
@@ -44,17 +44,17 @@ export default class BeamOutdoorPlug extends RingSocketDevice {
         const entityKey = command.split('/')[0]
         switch (command) {
             case 'outlet1/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setOutletState(message, 'outlet1')
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setOutletState(message, 'outlet1')
             case 'outlet2/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setOutletState(message, 'outlet2')
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setOutletState(message, 'outlet2')
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -71,7 +71,7 @@ export default class BeamOutdoorPlug extends RingSocketDevice {
                 break;
             }
             default:
-                this.debug(`Received invalid ${outletId} state command`)
+                throw new Error(`Received invalid ${outletId} state command`)
         }
     }
 }
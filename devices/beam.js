@@ -96,27 +96,27 @@ export default class Beam extends RingSocketDevice {
         const entityKey = command.split('/')[0]
         switch (command) {
             case 'light/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setLightState(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setLightState(message)
             case 'light/brightness_command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setLightLevel(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setLightLevel(message)
             case 'beam_duration/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setLightDuration(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error(`Received command for ${entityKey} which is not available for this device`)
                 }
-                break;
+                return this.setLightDuration(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set switch target state on received MQTT command message
-    setLightState(message) {
+    async setLightState(message) {
         this.debug(`Received set light state ${message}`)
         const command = message.toLowerCase()
         switch(command) {
@@ -124,7 +124,7 @@ export default class Beam extends RingSocketDevice {
             case 'off': {
                 const duration = this.data.beam_duration ? Math.min(this.data.beam_duration, 32767) : undefined
                 if (this.isLightGroup && this.groupId) {
-                    this.device.location.setLightGroup(this.groupId, Boolean(command === 'on'), duration)
+                    await this.device.location.setLightGroup(this.groupId, Boolean(command === 'on'), duration)
                 } else {
                     const data = command === 'on' ? { lightMode: 'on', duration } : { lightMode: 'default' }
                     this.device.sendCommand('light-mode.set', data)
@@ -132,20 +132,20 @@ export default class Beam extends RingSocketDevice {
                 break;
             }
             default:
-                this.debug('Received invalid light state command')
+                throw new Error('Received invalid light state command')
         }
     }
 
     // Set switch target state on received MQTT command message
-    setLightLevel(message) {
+    async setLightLevel(message) {
         const level = message
         this.debug(`Received set brightness level to ${level}`)
         if (isNaN(level)) {
-             this.debug('Brightness command received but not a number')
+             throw new Error('Brightness command received but not a number')
         } else if (!(level >= 0 && level <= 100)) {
-            this.debug('Brightness command received but out of range (0-100)')
+            throw new Error('Brightness command received but out of range (0-100)')
         } else {
-            this.device.setInfo({ device: { v1: { level: level / 100 } } })
+            await this.device.setInfo({ device: { v1: { level: level / 100 } } })
         }
     }
 
@@ -153,9 +153,9 @@ export default class Beam extends RingSocketDevice {
         const duration = message
         this.debug(`Received set light duration to ${duration} seconds`)
         if (isNaN(duration)) {
-            this.debug('Light duration command received but value is not a number')
+            throw new Error('Light duration command received but value is not a number')
         } else if (!(duration >= 0 && duration <= 32767)) {
-            this.debug('Light duration command received but out of range (0-32767)')
+            throw new Error('Light duration command received but out of range (0-32767)')
         } else {
             this.data.beam_duration = parseInt(duration)
             this.mqttPublish(this.entity.beam_duration.state_topic, this.data.beam_duration)
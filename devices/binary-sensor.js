@@ -137,17 +137,17 @@ export default class BinarySensor extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'bypass_mode/command':
-                if (this.entity?.bypass_mode) {
-                    this.setBypassMode(message)
+                if (!this.entity?.bypass_mode) {
+                    throw new Error('Received command for bypass_mode which is not available for this device')
                 }
-                break;
+                return this.setBypassMode(message)
             case 'chirp_tone/command':
-                if (this.entity?.chirp_tone) {
-                    this.setChirpTone(message)
+                if (!this.entity?.chirp_tone) {
+                    throw new Error('Received command for chirp_tone which is not available for this device')
                 }
-                break;
+                return this.setChirpTone(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -161,7 +161,7 @@ export default class BinarySensor extends RingSocketDevice {
             this.updateDeviceState()
             this.debug(`Bypass mode has been set to ${mode}`)
         } else {
-            this.debug(`Received invalid bypass mode for this sensor: ${message}`)
+            throw new Error(`Received invalid bypass mode for this sensor: ${message}`)
         }
     }
 
@@ -174,9 +174,9 @@ export default class BinarySensor extends RingSocketDevice {
                 .replace(/\s+/g, "-")
                 .replace('dinner-bell', 'cowbell')
                 .replace('disabled', 'none')
-            this.securityPanel.setInfo({ device: { v1: { chirps: { [this.deviceId]: { type: chirpTone }}}}})
+            await this.securityPanel.setInfo({ device: { v1: { chirps: { [this.deviceId]: { type: chirpTone }}}}})
         } else {
-            this.debug('Received command to set unknown chirp tone')
+            throw new Error('Received command to set unknown chirp tone')
         }
     }
 }
@@ -165,25 +165,19 @@ export default class Chime extends RingPolledDevice {
     processCommand(command, message) {
         switch (command) {
             case 'snooze/command':
-                this.setSnoozeState(message)
-                break;
+                return this.setSnoozeState(message)
             case 'snooze_minutes/command':
-                this.setSnoozeMinutes(message)
-                break;
+                return this.setSnoozeMinutes(message)
             case 'volume/command':
-                this.setVolumeLevel(message)
-                break;
+                return this.setVolumeLevel(message)
             case 'play_ding_sound/command':
-                this.playSound(message, 'ding')
-                break;
+                return this.playSound(message, 'ding')
             case 'play_motion_sound/command':
-                this.playSound(message, 'motion')
-                break;
+                return this.playSound(message, 'motion')
             case 'nightlight_enabled/command':
-                this.setNightlightState(message)
-                break;
+                return this.setNightlightState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -200,7 +194,7 @@ export default class Chime extends RingPolledDevice {
                 break;
             }
             default:
-                this.debug('Received invalid command for set snooze!')
+                throw new Error('Received invalid command for set snooze!')
         }
         this.device.requestUpdate()
     }
@@ -209,9 +203,9 @@ export default class Chime extends RingPolledDevice {
         const minutes = message
         this.debug(`Received set snooze minutes to ${minutes} minutes`)
         if (isNaN(minutes)) {
-            this.debug('Snooze minutes command received but value is not a number')
+            throw new Error('Snooze minutes command received but value is not a number')
         } else if (!(minutes >= 0 && minutes <= 32767)) {
-            this.debug('Snooze minutes command received but out of range (0-1440 minutes)')
+            throw new Error('Snooze minutes command received but out of range (0-1440 minutes)')
         } else {
             this.data.snooze_minutes = parseInt(minutes)
             this.mqttPublish(this.entity.snooze_minutes.state_topic, this.data.snooze_minutes.toString())
@@ -223,9 +217,9 @@ export default class Chime extends RingPolledDevice {
         const volume = message
         this.debug(`Received set volume level to ${volume}`)
         if (isNaN(message)) {
-            this.debug('Volume command received but value is not a number')
+            throw new Error('Volume command received but value is not a number')
         } else if (!(message >= 0 && message <= 11)) {
-            this.debug('Volume command received but out of range (0-11)')
+            throw new Error('Volume command received but out of range (0-11)')
         } else {
             await this.device.setVolume(volume)
             this.device.requestUpdate()
@@ -247,7 +241,7 @@ export default class Chime extends RingPolledDevice {
                 break;
             }
             default:
-                this.debug('Received invalid command for play chime sound!')
+                throw new Error('Received invalid command for play chime sound!')
         }
     }
 
@@ -267,7 +261,7 @@ export default class Chime extends RingPolledDevice {
                 this.mqttPublish(this.entity.nightlight_enabled.state_topic, this.data.nightlight.enabled)
                 break;
             default:
-                this.debug('Received invalid command for nightlight enabled mode!')
+                throw new Error('Received invalid command for nightlight enabled mode!')
         }
     }
 }
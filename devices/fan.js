@@ -49,45 +49,41 @@ export default class Fan extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'fan/command':
-                this.setFanState(message)
-                break;
+                return this.setFanState(message)
             case 'fan/percent_speed_command':
-                this.setFanPercent(message)
-                break;
+                return this.setFanPercent(message)
             case 'fan/speed_command':
-                this.setFanPreset(message)
-                break;
+                return this.setFanPreset(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set fan target state from received MQTT command message
-    setFanState(message) {
+    async setFanState(message) {
         this.debug(`Received set fan state ${message}`)
         const command = message.toLowerCase()
         switch(command) {
             case 'on':
             case 'off':
-                this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
+                await this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
                 break;
             default:
-                this.debug('Received invalid command for fan!')
+                throw new Error('Received invalid command for fan!')
         }
     }
 
     // Set fan speed based on percent
     async setFanPercent(message) {
         if (isNaN(message)) {
-            this.debug('Fan speed percent command received but value is not a number')
-            return
+            throw new Error('Fan speed percent command received but value is not a number')
         }
 
         let setFanPercent = parseInt(message)
 
         if (setFanPercent === 0) {
             this.debug('Received fan speed of 0%, turning fan off')
-            if (this.device.data.on) { this.setFanState('off') }
+            if (this.device.data.on) { await this.setFanState('off') }
             return
         } else if (setFanPercent < 10) {
             this.debug(`Received fan speed of ${setFanPercent}% which is < 10%, overriding to 10%`)
@@ -101,10 +97,10 @@ export default class Fan extends RingSocketDevice {
 
         this.debug(`Setting fan speed percentage to ${this.data.targetFanPercent}%`)
 
-        this.device.setInfo({ device: { v1: { level: this.data.targetFanPercent / 100 } } })
+        await this.device.setInfo({ device: { v1: { level: this.data.targetFanPercent / 100 } } })
         // Automatically turn on fan when level is sent.
         await utils.sleep(1)
-        if (!this.device.data.on) { this.setFanState('on') }
+        if (!this.device.data.on) { await this.setFanState('on') }
     }
 
     // Set fan speed state from received MQTT command message
@@ -121,7 +117,7 @@ export default class Fan extends RingSocketDevice {
                 fanPercent = 100
                 break;
             default:
-                this.debug(`Received invalid fan preset command ${message.toLowerCase()}`)
+                throw new Error(`Received invalid fan preset command ${message.toLowerCase()}`)
         }
 
         if (fanPercent) {
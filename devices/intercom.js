@@ -168,10 +168,9 @@ export default class Lock extends RingPolledDevice {
     processCommand(command, message) {
         switch (command) {
             case 'lock/command':
-                this.setLockState(message)
-                break;
+                return this.setLockState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -196,11 +195,11 @@ export default class Lock extends RingPolledDevice {
                     this.setDoorUnlocked()
                 } catch(error) {
                     this.debug(error)
-                    this.debug('Request to unlock door failed')
+                    throw new Error('Request to unlock door failed')
                 }
                 break;
             default:
-                this.debug('Received invalid command for lock')
+                throw new Error('Received invalid command for lock')
         }
     }
 }
\ No newline at end of file
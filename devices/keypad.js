@@ -86,41 +86,39 @@ export default class Keypad extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'volume/command':
-                this.setVolumeLevel(message)
-                break;
+                return this.setVolumeLevel(message)
             case 'chirps/command':
-                this.setChirpsState(message)
-                break;
+                return this.setChirpsState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set volume level on received MQTT command message
-    setVolumeLevel(message) {
+    async setVolumeLevel(message) {
         const volume = message
         this.debug(`Received set volume level to ${volume}%`)
         if (isNaN(message)) {
-            this.debug('Volume command received but value is not a number')
+            throw new Error('Volume command received but value is not a number')
         } else if (!(message >= 0 && message <= 100)) {
-            this.debug('Volume command received but out of range (0-100)')
+            throw new Error('Volume command received but out of range (0-100)')
         } else {
-            this.device.setVolume(volume/100)
+            await this.device.setVolume(volume/100)
         }
     }
 
     // Set chirps target state on received MQTT command message
-    setChirpsState(message) {
+    async setChirpsState(message) {
         this.debug(`Received set chirps state ${message}`)
         const command = message.toLowerCase()
         switch(command) {
             case 'on':
             case 'off': {
-                this.device.setInfo({ device: { v1: { chirps: command === 'on' ? 'enabled' : 'disabled' } } })
+                await this.device.setInfo({ device: { v1: { chirps: command === 'on' ? 'enabled' : 'disabled' } } })
                 break;
             }
             default:
-                this.debug('Received invalid command for chirps switch!')
+                throw new Error('Received invalid command for chirps switch!')
         }
     }
 
@@ -31,10 +31,9 @@ export default class Lock extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'lock/command':
-                this.setLockState(message)
-                break;
+                return this.setLockState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -49,7 +48,7 @@ export default class Lock extends RingSocketDevice {
                 this.device.sendCommand(`lock.${command}`)
                 break;
             default:
-                this.debug('Received invalid command for lock')
+                throw new Error('Received invalid command for lock')
         }
     }
 }
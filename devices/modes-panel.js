@@ -45,10 +45,9 @@ export default class ModesPanel extends RingPolledDevice {
     processCommand(command, message) {
         switch (command) {
             case 'mode/command':
-                this.setLocationMode(message)
-                break;
+                return this.setLocationMode(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -68,9 +67,9 @@ export default class ModesPanel extends RingPolledDevice {
         }
         // Check the return status and print some debugging for failed states
         if (setModeSuccess == false ) {
-            this.debug('Location could not enter proper mode after all retries...Giving up!')
+            throw new Error('Location could not enter proper mode after all retries...Giving up!')
         } else if (setModeSuccess == 'unknown') {
-            this.debug('Ignoring unknown command.')
+            throw new Error('Ignoring unknown command.')
         }
     }
 
@@ -24,41 +24,39 @@ export default class MultiLevelSwitch extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'light/command':
-                this.setSwitchState(message)
-                break;
+                return this.setSwitchState(message)
             case 'light/brightness_command':
-                this.setSwitchLevel(message)
-                break;
+                return this.setSwitchLevel(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set switch target state on received MQTT command message
-    setSwitchState(message) {
+    async setSwitchState(message) {
         this.debug(`Received set switch state ${message}`)
         const command = message.toLowerCase()
         switch(command) {
             case 'on':
             case 'off': {
-                this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
+                await this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
                 break;
             }
             default:
-                this.debug('Received invalid command for switch!')
+                throw new Error('Received invalid command for switch!')
         }
     }
 
     // Set switch target state on received MQTT command message
-    setSwitchLevel(message) {
+    async setSwitchLevel(message) {
         const level = message
         this.debug(`Received set switch level to ${level}%`)
         if (isNaN(message)) {
-            this.debug('Brightness command received but not a number!')
+            throw new Error('Brightness command received but not a number!')
         } else if (!(message >= 0 && message <= 100)) {
-            this.debug('Brightness command received but out of range (0-100)!')
+            throw new Error('Brightness command received but out of range (0-100)!')
         } else {
-            this.device.setInfo({ device: { v1: { level: level / 100 } } })
+            await this.device.setInfo({ device: { v1: { level: level / 100 } } })
         }
     }
 }
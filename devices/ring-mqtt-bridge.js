@@ -0,0 +1,251 @@
+import RingDevice from './base-ring-device.js'
+import utils from '../lib/utils.js'
+import state from '../lib/state.js'
+import fs from 'fs'
+
+// Virtual device representing the ring-mqtt process itself, used to publish
+// bridge level availability and diagnostic information
+export default class RingMqttBridge extends RingDevice {
+    constructor(deviceInfo) {
+        super({
+            device: {
+                deviceType: 'ring-mqtt.bridge',
+                data: {
+                    device_id: `ring_mqtt_${state.data.systemId.slice(-5)}`,
+                    location_id: 'bridge'
+                }
+            }
+        }, 'bridge', 'version', 'bridge')
+
+        this.locations = deviceInfo.locations
+        this.getTokenStatus = deviceInfo.getTokenStatus
+        this.version = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url))).version
+
+        // Availability for the bridge is managed by the MQTT client (retained state and Last Will)
+        this.deviceTopic = `${utils.config().ring_topic}/bridge`
+        this.availabilityTopic = this.bridgeAvailabilityTopic
+
+        this.deviceData = {
+            ids: [ this.deviceId ],
+            name: 'ring-mqtt Bridge',
+            mf: 'ring-mqtt',
+            mdl: 'ring-mqtt Bridge',
+            sw: this.version
+        }
+
+        this.data = {
+            ringApiState: 'connected',
+            mqttConnected: true,
+            mqttReconnects: 0,
+            subscribedLocations: []
+        }
+
+        utils.event.on('ring_api_state', (apiState) => {
+            this.data.ringApiState = apiState
+            if (this.isOnline()) { this.publishAttributes() }
+        })
+
+        utils.event.on('ring_token_state', () => {
+            if (this.isOnline()) { this.publishAttributes() }
+        })
+
+        utils.event.on('mqtt_state', (mqttState) => {
+            if (mqttState === 'connected') {
+                if (!this.data.mqttConnected) {
+                    this.data.mqttReconnects++
+                }
+                this.data.mqttConnected = true
+            } else {
+                this.data.mqttConnected = false
+            }
+        })
+    }
+
+    initAttributeEntities() {
+        this.entity = {
+            ...this.entity,
+            info: {
+                component: 'sensor',
+                category: 'diagnostic',
+                name: 'Version',
+                value_template: '{{ value_json["version"] | default("") }}'
+            },
+            uptime: {
+                component: 'sensor',
+                category: 'diagnostic',
+                device_class: 'duration',
+                unit_of_measurement: 's',
+                parent_state_topic: 'info/state',
+                value_template: '{{ value_json["uptime"] | default("") }}',
+                icon: 'mdi:timer-outline'
+            },
+            ring_api: {
+                component: 'sensor',
+                category: 'diagnostic',
+                name: 'Ring API',
+                parent_state_topic: 'info/state',
+                value_template: '{{ value_json["ringApiState"] | default("") }}',
+                icon: 'mdi:api'
+            },
+            mqtt_reconnects: {
+                component: 'sensor',
+                category: 'diagnostic',
+                name: 'MQTT Reconnects',
+                state_class: 'total_increasing',
+                parent_state_topic: 'info/state',
+                value_template: '{{ value_json["mqttReconnects"] | default("") }}',
+                icon: 'mdi:lan-connect'
+            },
+            token_invalid: {
+                component: 'binary_sensor',
+                category: 'diagnostic',
+                device_class: 'problem',
+                name: 'Ring Token Invalid',
+                parent_state_topic: 'info/state',
+                value_template: '{% if value_json["tokenStatus"] in ["invalid", "missing"] %}ON{% else %}OFF{% endif %}'
+            },
+            token_age: {
+                component: 'sensor',
+                category: 'diagnostic',
+                device_class: 'duration',
+                unit_of_measurement: 'd',
+                name: 'Ring Token Age',
+                parent_state_topic: 'info/state',
+                value_template: '{{ value_json["tokenAgeDays"] | default("") }}',
+                icon: 'mdi:key-chain'
+            },
+            token_last_refresh: {
+                component: 'sensor',
+                category: 'diagnostic',
+                device_class: 'timestamp',
+                name: 'Ring Token Last Refresh',
+                parent_state_topic: 'info/state',
+                value_template: '{{ value_json["tokenLastRefresh"] | default("") }}'
+            },
+            rediscover: {
+                component: 'button',
+                category: 'config',
+                name: 'Rediscover Devices',
+                icon: 'mdi:magnify-scan'
+            },
+            reload_config: {
+                component: 'button',
+                category: 'config',
+                name: 'Reload Configuration',
+                icon: 'mdi:file-refresh-outline'
+            },
+            token_refresh: {
+                component: 'button',
+                category: 'config',
+                name: 'Refresh Ring Token',
+                icon: 'mdi:key-change'
+            },
+            logout: {
+                component: 'button',
+                category: 'config',
+                name: 'Log Out of Ring',
+                icon: 'mdi:logout'
+            }
+        }
+    }
+
+    // Add a websocket connection entity for each location with an alarm or lighting hub
+    initLocationEntities() {
+        this.locations.filter(location => location.hasHubs).forEach(location => {
+            const entityKey = `websocket_${location.locationId}`
+            if (!this.entity.hasOwnProperty(entityKey)) {
+                this.entity[entityKey] = {
+                    component: 'binary_sensor',
+                    category: 'diagnostic',
+                    device_class: 'connectivity',
+                    name: `${location.name} Websocket`
+                }
+            }
+        })
+    }
+
+    async publish() {
+        this.initLocationEntities()
+        await this.publishDiscovery()
+        await utils.sleep(2)
+        await this.online()
+        this.publishState()
+    }
+
+    publishState() {
+        this.locations.filter(location => location.hasHubs).forEach(location => {
+            const entityKey = `websocket_${location.locationId}`
+            if (!this.entity[entityKey]?.state_topic) { return }
+
+            if (this.data.subscribedLocations.includes(location.locationId)) {
+                this.mqttPublish(this.entity[entityKey].state_topic, location.onConnected._value ? 'ON' : 'OFF')
+            } else {
+                // Subscription publishes current state immediately and any future websocket state changes
+                this.data.subscribedLocations.push(location.locationId)
+                location.onConnected.subscribe(connected => {
+                    if (this.isOnline()) {
+                        this.mqttPublish(this.entity[entityKey].state_topic, connected ? 'ON' : 'OFF')
+                    }
+                })
+            }
+        })
+        this.publishAttributes()
+    }
+
+    publishAttributes() {
+        const token = this.getTokenStatus()
+        const attributes = {
+            version: this.version,
+            uptime: Math.floor(process.uptime()),
+            ringApiState: this.data.ringApiState,
+            mqttReconnects: this.data.mqttReconnects,
+            tokenStatus: token.status,
+            ...token.created ? { tokenCreated: token.created, tokenAgeDays: token.age_days } : {},
+            ...token.last_refresh ? { tokenLastRefresh: token.last_refresh } : {},
+            websockets: this.locations.filter(location => location.hasHubs).reduce((websockets, location) => {
+                websockets[location.locationId] = location.onConnected._value ? 'connected' : 'disconnected'
+                return websockets
+            }, {})
+        }
+        this.mqttPublish(this.entity.info.state_topic, JSON.stringify(attributes), 'attr')
+    }
+
+    // Request an action from the Ring API client and wait for the result
+    requestRingAction(event) {
+        return new Promise((resolve, reject) => {
+            if (!utils.event.emit(event, result => result.then(resolve, reject))) {
+                reject(new Error('The Ring API client is not available'))
+            }
+        })
+    }
+
+    // Process messages from MQTT command topic
+    async processCommand(command) {
+        switch (command) {
+            case 'rediscover/command':
+                this.debug('Received request to rediscover devices')
+                utils.event.emit('rediscover_devices')
+                break;
+            case 'reload_config/command': {
+                this.debug('Received request to reload configuration')
+                const result = await this.requestRingAction('reload_config')
+                if (!result.success) {
+                    throw new Error(`Configuration reload failed: ${result.errors.join(', ')}`)
+                }
+                break;
+            }
+            case 'token_refresh/command':
+                this.debug('Received request to refresh Ring token')
+                if (!await this.requestRingAction('ring_token_refresh')) {
+                    throw new Error('Failed to refresh Ring API authentication, generate a new token using the Web UI')
+                }
+                break;
+            case 'logout/command':
+                this.debug('Received request to log out of Ring account')
+                await this.requestRingAction('ring_logout')
+                break;
+            default:
+                throw new Error(`Received message to unknown command topic: ${command}`)
+        }
+    }
+}
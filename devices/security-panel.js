@@ -241,23 +241,21 @@ export default class SecurityPanel extends RingSocketDevice {
         const entityKey = command.split('/')[0]
         switch (command) {
             case 'alarm/command':
-                this.setAlarmMode(message)
-                break;
+                return this.setAlarmMode(message)
             case 'siren/command':
-                this.setSirenMode(message)
-                break;
+                return this.setSirenMode(message)
             case 'police/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setPoliceMode(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error('Received command for police siren but panic buttons are not enabled')
                 }
-                break;
+                return this.setPoliceMode(message)
             case 'fire/command':
-                if (this.entity.hasOwnProperty(entityKey)) {
-                    this.setFireMode(message)
+                if (!this.entity.hasOwnProperty(entityKey)) {
+                    throw new Error('Received command for fire siren but panic buttons are not enabled')
                 }
-                break;
+                return this.setFireMode(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -300,9 +298,9 @@ export default class SecurityPanel extends RingSocketDevice {
 
         // Check the return status and print some debugging for failed states
         if (!setAlarmSuccess) {
-            this.debug('Alarm could not enter proper arming mode after all retries...Giving up!')
+            throw new Error('Alarm could not enter proper arming mode after all retries...Giving up!')
         } else if (setAlarmSuccess == 'unknown') {
-            this.debug('Unknown alarm arming mode requested.')
+            throw new Error('Unknown alarm arming mode requested.')
         }
     }
 
@@ -342,15 +340,15 @@ export default class SecurityPanel extends RingSocketDevice {
         switch(message.toLowerCase()) {
             case 'on':
                 this.debug(`Activating siren for ${this.device.location.name}`)
-                this.device.location.soundSiren().catch(err => { this.debug(err) })
+                await this.device.location.soundSiren()
                 break;
             case 'off': {
                 this.debug(`Deactivating siren for ${this.device.location.name}`)
-                this.device.location.silenceSiren().catch(err => { this.debug(err) })
+                await this.device.location.silenceSiren()
                 break;
             }
             default:
-                this.debug('Received invalid command for siren!')
+                throw new Error('Received invalid command for siren!')
         }
     }
 
@@ -358,15 +356,15 @@ export default class SecurityPanel extends RingSocketDevice {
         switch(message.toLowerCase()) {
             case 'on':
                 this.debug(`Activating burglar alarm for ${this.device.location.name}`)
-                this.device.location.triggerBurglarAlarm().catch(err => { this.debug(err) })
+                await this.device.location.triggerBurglarAlarm()
                 break;
             case 'off': {
                 this.debug(`Deactivating burglar alarm for ${this.device.location.name}`)
-                this.device.location.setAlarmMode('none').catch(err => { this.debug(err) })
+                await this.device.location.setAlarmMode('none')
                 break;
             }
             default:
-                this.debug('Received invalid command for panic!')
+                throw new Error('Received invalid command for panic!')
         }
     }
 
@@ -374,15 +372,15 @@ export default class SecurityPanel extends RingSocketDevice {
         switch(message.toLowerCase()) {
             case 'on':
                 this.debug(`Activating fire alarm for ${this.device.location.name}`)
-                this.device.location.triggerFireAlarm().catch(err => { this.debug(err) })
+                await this.device.location.triggerFireAlarm()
                 break;
             case 'off': {
                 this.debug(`Deactivating fire alarm for ${this.device.location.name}`)
-                this.device.location.setAlarmMode('none').catch(err => { this.debug(err) })
+                await this.device.location.setAlarmMode('none')
                 break;
             }
             default:
-                this.debug('Received invalid command for panic!')
+                throw new Error('Received invalid command for panic!')
         }
     }
 }
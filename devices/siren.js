@@ -44,19 +44,18 @@ export default class Siren extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'siren/command':
-                this.setSirenState(message)
-                break;
+                return this.setSirenState(message)
             case 'volume/command':
-                if (this.entity.hasOwnProperty('volume')) {
-                    this.setVolumeLevel(message)
+                if (!this.entity.hasOwnProperty('volume')) {
+                    throw new Error('Received command for volume which is not available for this device')
                 }
-                break;
+                return this.setVolumeLevel(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
-    setSirenState(message) {
+    async setSirenState(message) {
         const command = message.toLowerCase()
         switch(command) {
             case 'on':
@@ -65,24 +64,24 @@ export default class Siren extends RingSocketDevice {
                 if (this.device.data.deviceType === 'siren.outdoor-strobe') {
                     this.device.sendCommand((command ==='on') ? 'siren-test.start' : 'siren-test.stop')
                 } else {
-                    this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
+                    await this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
                 }
                 break;
             default:
-                this.debug('Received invalid siren state command')
+                throw new Error('Received invalid siren state command')
         }
     }
 
     // Set volume level on received MQTT command message
-    setVolumeLevel(message) {
+    async setVolumeLevel(message) {
         const volume = message / 1
         this.debug(`Received set volume level to ${volume}`)
         if (isNaN(message)) {
-            this.debug('Volume command received but value is not a number')
+            throw new Error('Volume command received but value is not a number')
         } else if (!(message >= 0 && message <= 4)) {
-            this.debug('Volume command received but out of range (0-4)')
+            throw new Error('Volume command received but out of range (0-4)')
         } else {
-            this.device.setInfo({ device: { v1: { volume } } })
+            await this.device.setInfo({ device: { v1: { volume } } })
         }
     }
 }
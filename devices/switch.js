@@ -22,24 +22,23 @@ export default class Switch extends RingSocketDevice {
         switch (command) {
             case 'switch/command':
             case 'light/command':
-                this.setSwitchState(message)
-                break;
+                return this.setSwitchState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
     // Set switch target state on received MQTT command message
-    setSwitchState(message) {
+    async setSwitchState(message) {
         const command = message.toLowerCase()
         switch(command) {
             case 'on':
             case 'off':
                 this.debug(`Received set switch state ${message}`)
-                this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
+                await this.device.setInfo({ device: { v1: { on: Boolean(command === 'on') } } })
                 break;
             default:
-                this.debug(`Received invalid switch state command`)
+                throw new Error(`Received invalid switch state command`)
         }
     }
 }
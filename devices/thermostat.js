@@ -20,8 +20,13 @@ export default class Thermostat extends RingSocketDevice {
 
         this.data = {
             currentMode: (() => {
-                return this.device.data.mode === 'aux' ? 'heat' : this.device.data.mode
+                // Use a just requested mode until the device reports it so that setpoints
+                // sent right after a mode change (i.e. via the JSON set topic) are accepted
+                const mode = this.data.pendingMode ? this.data.pendingMode : this.device.data.mode
+                return mode === 'aux' ? 'heat' : mode
             }),
+            pendingMode: false,
+            pendingModeTimeout: false,
             publishedMode: false,
             fanMode: (() => {
                 return this.device.data.fanMode.replace(/^./, str => str.toUpperCase())
@@ -73,6 +78,10 @@ export default class Thermostat extends RingSocketDevice {
     async publishState(data) {
         const isPublish = Boolean(data === undefined)
 
+        if (this.data.pendingMode === this.device.data.mode) {
+            this.clearPendingMode()
+        }
+
         this.publishModeAndSetpoints()
         this.mqttPublish(this.entity.thermostat.fan_mode_state_topic, this.data.fanMode())
         this.mqttPublish(this.entity.thermostat.preset_mode_state_topic, this.data.presetMode())
@@ -136,25 +145,19 @@ export default class Thermostat extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'thermostat/mode_command':
-                this.setMode(message)
-                break;
+                return this.setMode(message)
             case 'thermostat/temperature_command':
-                this.setSetPoint(message)
-                break;
+                return this.setSetPoint(message)
             case 'thermostat/temperature_low_command':
-                this.setAutoSetPoint(message, 'low')
-                break;
+                return this.setAutoSetPoint(message, 'low')
             case 'thermostat/temperature_high_command':
-                this.setAutoSetPoint(message, 'high')
-                break;
+                return this.setAutoSetPoint(message, 'high')
             case 'thermostat/fan_mode_command':
-                this.setFanMode(message)
-                break;
+                return this.setFanMode(message)
             case 'thermostat/preset_mode_command':
-                this.setPresetMode(message)
-                break;
+                return this.setPresetMode(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -169,13 +172,15 @@ export default class Thermostat extends RingSocketDevice {
             case 'heat':
             case 'auto':
             case 'aux':
-                if (this.entity.thermostat.modes.map(e => e.toLocaleLowerCase()).includes(mode) || mode === 'aux') {
-                    this.device.setInfo({ device: { v1: { mode } } })
-                    this.mqttPublish(this.entity.thermostat.mode_state_topic, mode)
+                if (!this.entity.thermostat.modes.map(e => e.toLocaleLowerCase()).includes(mode) && mode !== 'aux') {
+                    throw new Error(`Mode ${mode} is not supported by this thermostat`)
                 }
+                await this.device.setInfo({ device: { v1: { mode } } })
+                this.setPendingMode(mode)
+                this.mqttPublish(this.entity.thermostat.mode_state_topic, mode)
                 break;
             default:
-                this.debug(`Received invalid set mode command`)
+                throw new Error(`Received invalid set mode command`)
         }
     }
 
@@ -183,19 +188,17 @@ export default class Thermostat extends RingSocketDevice {
         const mode = this.data.currentMode()
         switch(mode) {
             case 'off':
-                this.debug('Recevied set target temperature but current thermostat mode is off')
-                break;
+                throw new Error('Recevied set target temperature but current thermostat mode is off')
             case 'auto':
-                this.debug('Recevied set target temperature but thermostat is in dual setpoint (auto) mode')
-                break;
+                throw new Error('Recevied set target temperature but thermostat is in dual setpoint (auto) mode')
             default:
                 if (isNaN(value)) {
-                    this.debug(`Received set target temperature to ${value} which is not a number`)
+                    throw new Error(`Received set target temperature to ${value} which is not a number`)
                 } else if (!(value >= 10 && value <= 37.22223)) {
-                    this.debug(`Received set target temperature to ${value} which is out of allowed range (10-37.22223°C)`)
+                    throw new Error(`Received set target temperature to ${value} which is out of allowed range (10-37.22223°C)`)
                 } else {
                     this.debug(`Received set target temperature to ${value}`)
-                    this.device.setInfo({ device: { v1: { setPoint: Number(value) } } })
+                    await this.device.setInfo({ device: { v1: { setPoint: Number(value) } } })
                     this.mqttPublish(this.entity.thermostat.temperature_state_topic, value)
                 }
         }
@@ -206,9 +209,9 @@ export default class Thermostat extends RingSocketDevice {
         switch(mode) {
             case 'auto':
                 if (isNaN(value)) {
-                    this.debug(`Received set auto range ${type} temperature to ${value} which is not a number`)
+                    throw new Error(`Received set auto range ${type} temperature to ${value} which is not a number`)
                 } else if (!(value >= 10 && value <= 37.22223)) {
-                    this.debug(`Received set auto range ${type} temperature to ${value} which is out of allowed range (10-37.22223°C)`)
+                    throw new Error(`Received set auto range ${type} temperature to ${value} which is out of allowed range (10-37.22223°C)`)
                 } else {
                     this.debug(`Received set auto range ${type} temperature to ${value}`)
                     this.data.autoSetPoint[type] = Number(value)
@@ -240,10 +243,9 @@ export default class Thermostat extends RingSocketDevice {
                 }
                 break;
             case 'off':
-                this.debug(`Recevied set auto range ${type} temperature but current thermostat mode is off`)
-                break;
+                throw new Error(`Recevied set auto range ${type} temperature but current thermostat mode is off`)
             default:
-                this.debug(`Received set ${type} temperature but thermostat is in single setpoint (cool/heat) mode`)
+                throw new Error(`Received set ${type} temperature but thermostat is in single setpoint (cool/heat) mode`)
         }
     }
 
@@ -251,10 +253,10 @@ export default class Thermostat extends RingSocketDevice {
         this.debug(`Recevied set fan mode ${value}`)
         const fanMode = value.toLowerCase()
         if (this.entity.thermostat.fan_modes.map(e => e.toLocaleLowerCase()).includes(fanMode)) {
-            this.device.setInfo({ device: { v1: { fanMode }}})
+            await this.device.setInfo({ device: { v1: { fanMode }}})
             this.mqttPublish(this.entity.thermostat.fan_mode_state_topic, fanMode.replace(/^./, str => str.toUpperCase()))
         } else {
-            this.debug('Received invalid fan mode command')
+            throw new Error('Received invalid fan mode command')
         }
     }
 
@@ -265,12 +267,27 @@ export default class Thermostat extends RingSocketDevice {
             case 'auxillary':
             case 'none': {
                 const mode = presetMode === 'auxillary' ? 'aux' : 'heat'
-                this.device.setInfo({ device: { v1: { mode } } })
+                await this.device.setInfo({ device: { v1: { mode } } })
+                this.setPendingMode(mode)
                 this.mqttPublish(this.entity.thermostat.preset_mode_state_topic, presetMode.replace(/^./, str => str.toUpperCase()))
                 break;
             }
             default:
-                this.debug('Received invalid preset mode command')
+                throw new Error('Received invalid preset mode command')
         }
     }
+
+    // Pending mode expires if the device does not report the new mode within 10 seconds
+    setPendingMode(mode) {
+        this.clearPendingMode()
+        this.data.pendingMode = mode
+        this.data.pendingModeTimeout = setTimeout(() => {
+            this.data.pendingMode = false
+        }, 10000)
+    }
+
+    clearPendingMode() {
+        clearTimeout(this.data.pendingModeTimeout)
+        this.data.pendingMode = false
+    }
 }
@@ -29,10 +29,9 @@ export default class Valve extends RingSocketDevice {
     processCommand(command, message) {
         switch (command) {
             case 'valve/command':
-                this.setValveState(message)
-                break;
+                return this.setValveState(message)
             default:
-                this.debug(`Received message to unknown command topic: ${command}`)
+                throw new Error(`Received message to unknown command topic: ${command}`)
         }
     }
 
@@ -49,7 +48,7 @@ export default class Valve extends RingSocketDevice {
                 break;
             }
             default:
-                this.debug('Received invalid command for valve')
+                throw new Error('Received invalid command for valve')
         }
     }
 }
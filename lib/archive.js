@@ -0,0 +1,228 @@
+import chalk from 'chalk'
+import { mkdir, readdir, stat, rm, rename } from 'fs/promises'
+import { dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { spawn } from 'child_process'
+import pathToFfmpeg from 'ffmpeg-for-homebridge'
+import utils from './utils.js'
+import writeFileAtomic from 'write-file-atomic'
+import debugModule from 'debug'
+const debug = debugModule('ring-mqtt')
+
+// Retention is checked at most this often, archiving many cameras would otherwise rescan
+// the archive on every snapshot
+const RETENTION_CHECK_INTERVAL = 60000
+const CLIP_DOWNLOAD_TIMEOUT = 10 * 60000
+
+// Local archive of camera media, stored in a directory per camera using filenames that sort
+// by time. Files older than archive_max_age days are removed, and the oldest files across all
+// cameras are removed when the archive grows larger than archive_max_size MB. Continuous
+// recordings are stored the same way in a separate directory with their own retention limits.
+export default new class Archive {
+    constructor() {
+        this.lastRetentionCheck = 0
+        this.retentionRunning = false
+        this.snapshotSequence = 0
+    }
+
+    get snapshotsEnabled() {
+        return Boolean(utils.config().enable_snapshot_archive)
+    }
+
+    get clipsEnabled() {
+        return Boolean(utils.config().enable_clip_archive)
+    }
+
+    get path() {
+        if (utils.config().archive_path) {
+            return utils.config().archive_path.replace(/\/+$/, '')
+        }
+        return (process.env.RUNMODE === 'standard')
+            ? dirname(fileURLToPath(new URL('.', import.meta.url)))+'/archive'
+            : '/data/archive'
+    }
+
+    get recordingPath() {
+        if (utils.config().recording_path) {
+            return utils.config().recording_path.replace(/\/+$/, '')
+        }
+        return (process.env.RUNMODE === 'standard')
+            ? dirname(fileURLToPath(new URL('.', import.meta.url)))+'/recordings'
+            : '/data/recordings'
+    }
+
+    getDeviceDir(deviceId) {
+        return `${this.path}/${deviceId}`
+    }
+
+    getRecordingDir(deviceId) {
+        return `${this.recordingPath}/${deviceId}`
+    }
+
+    // Total size of the files in a directory and the names of the oldest and newest file
+    async getUsage(dir) {
+        const usage = { size: 0, files: 0, oldest: null, newest: null }
+        let filenames
+        try {
+            filenames = (await readdir(dir)).sort()
+        } catch {
+            return usage
+        }
+        for (const filename of filenames) {
+            try {
+                const fileStat = await stat(`${dir}/${filename}`)
+                if (fileStat.isFile()) {
+                    usage.size += fileStat.size
+                    usage.files++
+                    usage.oldest = usage.oldest || filename
+                    usage.newest = filename
+                }
+            } catch {
+                // File was removed while scanning
+            }
+        }
+        return usage
+    }
+
+    // Filenames use UTC time without separators that are invalid on some filesystems and
+    // an ID so files of the same type within the same second don't collide,
+    // e.g. 20261019T165616Z_motion_7345089132.mp4
+    getFilename(timestamp, type, id, extension) {
+        const time = utils.getISOTime(timestamp*1000).replace(/[-:]/g, '')
+        return `${time}_${type.replace(/[^a-z0-9-]/gi, '-')}_${String(id).replace(/[^a-z0-9-]/gi, '-')}.${extension}`
+    }
+
+    // Save a snapshot image to the archive and return the archived file path
+    async saveSnapshot(deviceId, image, type, timestamp) {
+        this.snapshotSequence++
+        const file = `${this.getDeviceDir(deviceId)}/${this.getFilename(timestamp, type, this.snapshotSequence, 'jpg')}`
+        try {
+            await mkdir(this.getDeviceDir(deviceId), { recursive: true })
+            await writeFileAtomic(file, image)
+        } catch (err) {
+            debug(chalk.yellow(`Failed to save snapshot to archive file ${file}`))
+            debug(err.message)
+            return false
+        }
+        this.enforceRetention()
+        return file
+    }
+
+    // Download an event recording to the archive using ffmpeg, copying the original streams or
+    // transcoding to H.264/AAC, and save the metadata alongside. Returns the archived file path.
+    async saveClip(deviceId, recordingUrl, type, timestamp, metadata, transcode) {
+        const filename = this.getFilename(timestamp, type, metadata.event_id, 'mp4')
+        const file = `${this.getDeviceDir(deviceId)}/${filename}`
+        const tempFile = `${file}.part`
+        try {
+            await mkdir(this.getDeviceDir(deviceId), { recursive: true })
+            await new Promise((resolve, reject) => {
+                const ffmpeg = spawn(pathToFfmpeg, [
+                    '-hide_banner',
+                    '-loglevel', 'error',
+                    '-i', recordingUrl,
+                    ...transcode
+                        ? [ '-c:v', 'libx264', '-crf', '23', '-preset', 'veryfast', '-c:a', 'aac' ]
+                        : [ '-c', 'copy' ],
+                    '-movflags', '+faststart',
+                    '-f', 'mp4',
+                    '-y', tempFile
+                ])
+                let stderr = ''
+                ffmpeg.stderr.on('data', data => { stderr += data })
+                // Recordings are short, a download that takes this long has stalled
+                const timeout = setTimeout(() => ffmpeg.kill(), CLIP_DOWNLOAD_TIMEOUT)
+                ffmpeg.on('error', reject)
+                ffmpeg.on('close', code => {
+                    clearTimeout(timeout)
+                    code === 0 ? resolve() : reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`))
+                })
+            })
+            await rename(tempFile, file)
+            await writeFileAtomic(file.replace(/\.mp4$/, '.json'), JSON.stringify({ ...metadata, file: filename, transcoded: Boolean(transcode) }, null, 2))
+        } catch (err) {
+            debug(chalk.yellow(`Failed to save recording to archive file ${file}`))
+            debug(err.message)
+            await rm(tempFile, { force: true })
+            return false
+        }
+        this.enforceRetention()
+        return file
+    }
+
+    // Returns archived items sorted oldest first. Files with the same name and a different
+    // extension, e.g. a clip and its metadata, are grouped so they are removed together.
+    // Partial downloads are skipped so an in-progress clip is never removed.
+    async getItems(path) {
+        const items = new Map()
+        let deviceDirs
+        try {
+            deviceDirs = await readdir(path, { withFileTypes: true })
+        } catch {
+            return []
+        }
+        for (const deviceDir of deviceDirs.filter(entry => entry.isDirectory())) {
+            const dir = `${path}/${deviceDir.name}`
+            for (const filename of (await readdir(dir)).filter(filename => !filename.endsWith('.part'))) {
+                try {
+                    const fileStat = await stat(`${dir}/${filename}`)
+                    if (fileStat.isFile()) {
+                        const name = `${dir}/${filename.split('.')[0]}`
+                        const item = items.get(name) || { files: [], size: 0, mtime: 0 }
+                        item.files.push(`${dir}/${filename}`)
+                        item.size += fileStat.size
+                        item.mtime = Math.max(item.mtime, fileStat.mtimeMs)
+                        items.set(name, item)
+                    }
+                } catch {
+                    // File was removed while scanning
+                }
+            }
+        }
+        return [...items.values()].sort((a, b) => a.mtime - b.mtime)
+    }
+
+    async enforceRetention(force = false) {
+        if (this.retentionRunning || (!force && Date.now() - this.lastRetentionCheck < RETENTION_CHECK_INTERVAL)) {
+            return
+        }
+        this.retentionRunning = true
+        this.lastRetentionCheck = Date.now()
+
+        const stores = [
+            { name: 'archive', path: this.path, maxAge: utils.config().archive_max_age, maxSize: utils.config().archive_max_size },
+            { name: 'recordings', path: this.recordingPath, maxAge: utils.config().recording_max_age, maxSize: utils.config().recording_max_size }
+        ]
+
+        try {
+            for (const store of stores) {
+                const maxAge = Number(store.maxAge) * 86400000
+                const maxSize = Number(store.maxSize) * 1048576
+                const items = await this.getItems(store.path)
+                let totalSize = items.reduce((total, item) => total + item.size, 0)
+                let removed = 0
+
+                // Items are sorted oldest first so removal stops at the first item within both limits
+                for (const item of items) {
+                    if ((maxAge > 0 && Date.now() - item.mtime > maxAge) || (maxSize > 0 && totalSize > maxSize)) {
+                        for (const file of item.files) {
+                            await rm(file, { force: true })
+                        }
+                        totalSize -= item.size
+                        removed += item.files.length
+                    } else {
+                        break
+                    }
+                }
+                if (removed > 0) {
+                    debug(`Removed ${removed} file${removed > 1 ? 's' : ''} from the ${store.name}, size is now ${(totalSize / 1048576).toFixed(1)} MB`)
+                }
+            }
+        } catch (err) {
+            debug(chalk.yellow('Failed to apply archive retention policy'))
+            debug(err.message)
+        } finally {
+            this.retentionRunning = false
+        }
+    }
+}
@@ -0,0 +1,276 @@
+// Declarative schema of all ring-mqtt configuration options. The schema is used to validate
+// the configuration and apply defaults at startup, and describes each option for documentation
+// and configuration interfaces.
+//
+// Supported types are boolean, number, string, enum (one of values), list (array of strings,
+// a comma separated string is also accepted), object and url (with allowed protocols).
+//
+// The reload attribute defines how a changed option is applied by a live configuration reload:
+// republish (republish devices), streams (update camera streams and go2rtc), rediscovery
+// (reschedule rediscovery), devices (rediscover devices to apply device filters) or live
+// (used directly). Options without it require a restart.
+export const configSchema = {
+    mqtt_url: {
+        type: 'url',
+        protocols: [ 'mqtt:', 'mqtts:' ],
+        default: 'mqtt://localhost:1883',
+        description: 'URL of the MQTT broker, including username and password if required'
+    },
+    mqtt_options: {
+        type: 'string',
+        default: '',
+        description: 'Comma separated list of additional MQTT client options, e.g. "rejectUnauthorized=false"'
+    },
+    livestream_user: {
+        type: 'string',
+        default: '',
+        reload: 'streams',
+        description: 'Username required to access the live streams of the RTSP server'
+    },
+    livestream_pass: {
+        type: 'string',
+        default: '',
+        secret: true,
+        reload: 'streams',
+        description: 'Password required to access the live streams of the RTSP server'
+    },
+    disarm_code: {
+        type: 'string',
+        default: '',
+        secret: true,
+        reload: 'republish',
+        description: 'Code required to disarm the alarm from Home Assistant'
+    },
+    enable_cameras: {
+        type: 'boolean',
+        default: true,
+        description: 'Publish cameras, doorbells and intercoms'
+    },
+    enable_modes: {
+        type: 'boolean',
+        default: false,
+        description: 'Publish a Location Mode control panel for locations with Ring Modes'
+    },
+    enable_panic: {
+        type: 'boolean',
+        default: false,
+        description: 'Publish Police and Fire panic switches for alarm locations'
+    },
+    hass_topic: {
+        type: 'string',
+        default: 'homeassistant/status',
+        description: 'Topic used to monitor the Home Assistant status for restarts'
+    },
+    ring_topic: {
+        type: 'string',
+        default: 'ring',
+        description: 'Base topic for all ring-mqtt state and command topics'
+    },
+    location_ids: {
+        type: 'list',
+        default: [],
+        description: 'Only publish devices from these Ring location IDs (default all locations)'
+    },
+    discovery_mode: {
+        type: 'enum',
+        values: [ 'homeassistant', 'homie', 'none' ],
+        default: 'homeassistant',
+        description: 'Publish devices using Home Assistant discovery, the Homie 4 convention or no discovery'
+    },
+    discovery_prefix: {
+        type: 'string',
+        default: '',
+        description: 'Base topic for discovery messages (default "homeassistant" or "homie" depending on discovery_mode)'
+    },
+    include_devices: {
+        type: 'list',
+        default: [],
+        reload: 'devices',
+        description: 'Only publish devices matching these device IDs or names (* and ? wildcards supported)'
+    },
+    exclude_devices: {
+        type: 'list',
+        default: [],
+        reload: 'devices',
+        description: 'Do not publish devices matching these device IDs or names (* and ? wildcards supported)'
+    },
+    include_device_types: {
+        type: 'list',
+        default: [],
+        reload: 'devices',
+        description: 'Only publish devices matching these Ring device types (* and ? wildcards supported)'
+    },
+    exclude_device_types: {
+        type: 'list',
+        default: [],
+        reload: 'devices',
+        description: 'Do not publish devices matching these Ring device types (* and ? wildcards supported)'
+    },
+    entity_overrides: {
+        type: 'object',
+        default: {},
+        reload: 'republish',
+        description: 'Per entity overrides of name, icon, entity_category, enabled_by_default and exclude keyed by device ID and entity'
+    },
+    rediscovery_interval: {
+        type: 'number',
+        min: 0,
+        default: 0,
+        reload: 'rediscovery',
+        description: 'Interval in minutes to check for new devices added to the Ring account (0 disables)'
+    },
+    enable_command_events: {
+        type: 'boolean',
+        default: false,
+        description: 'Publish a Home Assistant event entity for command results of each device'
+    },
+    enable_api: {
+        type: 'boolean',
+        default: false,
+        description: 'Enable the local REST API of the web UI, requires web UI authentication'
+    },
+    enable_metrics: {
+        type: 'boolean',
+        default: false,
+        description: 'Enable the Prometheus metrics endpoint of the web UI'
+    },
+    enable_dashboard: {
+        type: 'boolean',
+        default: false,
+        description: 'Enable the device dashboard of the web UI'
+    },
+    enable_snapshot_urls: {
+        type: 'boolean',
+        default: false,
+        description: 'Serve the latest snapshot of each camera from the web UI at /snapshot/<device_id>.jpg'
+    },
+    enable_snapshot_archive: {
+        type: 'boolean',
+        default: false,
+        description: 'Save every camera snapshot to the local archive'
+    },
+    enable_clip_archive: {
+        type: 'boolean',
+        default: false,
+        description: 'Download the recording of each new camera event to the local archive'
+    },
+    clip_archive_events: {
+        type: 'list',
+        default: [ 'motion', 'ding' ],
+        reload: 'live',
+        description: 'Event types with recordings saved to the archive, any of motion, person and ding (person saves only motion events with a detected person)'
+    },
+    clip_archive_transcode: {
+        type: 'boolean',
+        default: false,
+        reload: 'live',
+        description: 'Transcode archived recordings to H.264/AAC (recordings from cameras in HEVC mode are always transcoded)'
+    },
+    archive_path: {
+        type: 'string',
+        default: '',
+        description: 'Directory used for the local archive (default "archive" in the ring-mqtt directory or /data/archive for Docker and the addon)'
+    },
+    archive_max_age: {
+        type: 'number',
+        min: 0,
+        default: 7,
+        reload: 'live',
+        description: 'Remove archived files older than this number of days (0 disables)'
+    },
+    archive_max_size: {
+        type: 'number',
+        min: 0,
+        default: 1024,
+        reload: 'live',
+        description: 'Remove the oldest archived files when the archive is larger than this size in MB (0 disables)'
+    },
+    enable_recording: {
+        type: 'boolean',
+        default: false,
+        description: 'Allow continuous recording of the live stream of wired cameras, enabled per camera using the Recording switch'
+    },
+    recording_path: {
+        type: 'string',
+        default: '',
+        description: 'Directory used for continuous recordings (default "recordings" in the ring-mqtt directory or /data/recordings for Docker and the addon)'
+    },
+    recording_segment_length: {
+        type: 'number',
+        min: 10,
+        default: 300,
+        description: 'Length in seconds of each recorded MP4 segment'
+    },
+    recording_max_age: {
+        type: 'number',
+        min: 0,
+        default: 3,
+        reload: 'live',
+        description: 'Remove recorded segments older than this number of days (0 disables)'
+    },
+    recording_max_size: {
+        type: 'number',
+        min: 0,
+        default: 10240,
+        reload: 'live',
+        description: 'Remove the oldest recorded segments when recordings use more than this size in MB (0 disables)'
+    },
+    web_bind_address: {
+        type: 'string',
+        default: '',
+        description: 'Address of the interface used by the web UI (default all interfaces, use 127.0.0.1 to only accept local connections)'
+    },
+    web_auth_username: {
+        type: 'string',
+        default: '',
+        description: 'Username for HTTP basic authentication to the web UI'
+    },
+    web_auth_password: {
+        type: 'string',
+        default: '',
+        secret: true,
+        description: 'Password for HTTP basic authentication to the web UI'
+    },
+    web_auth_token: {
+        type: 'string',
+        default: '',
+        secret: true,
+        description: 'Bearer token for authentication to the web UI'
+    },
+    web_tls_cert: {
+        type: 'string',
+        default: '',
+        description: 'Path to a PEM certificate used to serve the web UI over HTTPS'
+    },
+    web_tls_key: {
+        type: 'string',
+        default: '',
+        description: 'Path to the PEM private key of the web UI certificate'
+    },
+
+    // Options used only by the addon startup scripts
+    branch: {
+        type: 'string',
+        addon: true,
+        description: 'Addon only, run the latest or development version of ring-mqtt'
+    },
+    debug: {
+        type: 'string',
+        addon: true,
+        description: 'Addon only, debug output categories'
+    },
+
+    // Options removed in earlier versions, these are ignored with a warning
+    enable_volume: {
+        deprecated: 'Volume controls are always published as number entities'
+    },
+    enable_snapshots: {
+        deprecated: 'Snapshot mode is configured per camera using the Snapshot Mode entity'
+    },
+    snapshot_mode: {
+        deprecated: 'Snapshot mode is configured per camera using the Snapshot Mode entity'
+    },
+    beam_duration: {
+        deprecated: 'Smart Lighting on duration is configured per device using the Duration entity'
+    }
+}
@@ -0,0 +1,406 @@
+export const dashboardTemplate = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Ring-MQTT Dashboard</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        :root {
+            /* Light theme variables */
+            --bg-color: #f5f5f5;
+            --container-bg: #fff;
+            --text-color: #212529;
+            --header-bg: #2f95c8;
+            --header-color: #ffffff;
+            --border-color: #dee2e6;
+            --instruction-color: #6c757d;
+            --error-bg: #f8d7da;
+            --error-color: #721c24;
+            --success-bg: #e8f5ee;
+            --success-color: #006400;
+            --updated-bg: #fff3cd;
+        }
+
+        @media (prefers-color-scheme: dark) {
+            :root {
+                --bg-color: #1a1a1a;
+                --container-bg: #2d2d2d;
+                --text-color: #e0e0e0;
+                --header-bg: #1e5c7c;
+                --header-color: #ffffff;
+                --border-color: #4d4d4d;
+                --instruction-color: #a0a0a0;
+                --error-bg: #442326;
+                --error-color: #ff9999;
+                --success-bg: #1e3323;
+                --success-color: #90ee90;
+                --updated-bg: #4d4420;
+            }
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+            line-height: 1.5;
+            margin: 0;
+            background-color: var(--bg-color);
+            color: var(--text-color);
+        }
+
+        h1 {
+            font-size: 1.75rem;
+            font-weight: bold;
+            text-align: center;
+            margin: 0 0 0.75rem 0;
+            color: var(--header-color);
+            background-color: var(--header-bg);
+            padding: 0.75rem;
+            border-radius: 0.25rem;
+        }
+
+        h2 {
+            font-size: 1.25rem;
+            margin: 0 0 0.5rem 0;
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+        }
+
+        .container {
+            max-width: 1000px;
+            margin: 1rem auto;
+            padding: 1.5rem;
+            background-color: var(--container-bg);
+            border: 1px solid rgba(0,0,0,.125);
+            border-radius: 0.25rem;
+            box-shadow: 0 0.125rem 0.25rem rgba(0,0,0,.075);
+        }
+
+        .instruction {
+            text-align: center;
+            color: var(--instruction-color);
+            margin-bottom: .75rem;
+            font-weight: bold;
+        }
+
+        .location {
+            margin-top: 1.5rem;
+        }
+
+        .badge {
+            display: inline-block;
+            font-size: 0.75rem;
+            font-weight: bold;
+            padding: 0.1rem 0.5rem;
+            border-radius: 0.25rem;
+            white-space: nowrap;
+        }
+
+        .badge.ok {
+            color: var(--success-color);
+            background-color: var(--success-bg);
+        }
+
+        .badge.fail {
+            color: var(--error-color);
+            background-color: var(--error-bg);
+        }
+
+        details {
+            border: 1px solid var(--border-color);
+            border-radius: 0.25rem;
+            margin-bottom: 0.5rem;
+        }
+
+        summary {
+            display: grid;
+            grid-template-columns: 1fr 6rem 5rem 6rem 12rem;
+            gap: 0.5rem;
+            align-items: center;
+            padding: 0.5rem 0.75rem;
+            cursor: pointer;
+        }
+
+        summary .name {
+            font-weight: bold;
+        }
+
+        summary .model {
+            display: block;
+            font-weight: normal;
+            font-size: 0.8rem;
+            color: var(--instruction-color);
+        }
+
+        .header-row {
+            display: grid;
+            grid-template-columns: 1fr 6rem 5rem 6rem 12rem;
+            gap: 0.5rem;
+            padding: 0 0.75rem 0.25rem 0.75rem;
+            font-size: 0.8rem;
+            font-weight: bold;
+            color: var(--instruction-color);
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        }
+
+        th, td {
+            text-align: left;
+            padding: 0.25rem 0.75rem;
+            border-top: 1px solid var(--border-color);
+            vertical-align: top;
+            word-break: break-word;
+        }
+
+        th {
+            color: var(--instruction-color);
+        }
+
+        .updated {
+            background-color: var(--updated-bg);
+            transition: background-color 1s ease-in-out;
+        }
+
+        .muted {
+            color: var(--instruction-color);
+        }
+
+        #status {
+            text-align: center;
+        }
+
+        @media (max-width: 700px) {
+            .container {
+                margin: 1rem;
+                padding: 1rem;
+            }
+
+            summary, .header-row {
+                grid-template-columns: 1fr 6rem;
+            }
+
+            .optional {
+                display: none;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Ring-MQTT Dashboard</h1>
+        <p class="instruction">Devices, entities and current state published by ring-mqtt</p>
+        <div id="status"><span class="badge fail">Connecting...</span></div>
+        <div id="locations"></div>
+    </div>
+
+    <script>
+        class Format {
+            static time(isoTime) {
+                return isoTime ? new Date(isoTime).toLocaleString() : '-';
+            }
+
+            static value(value) {
+                if (value === null || value === undefined || value === '') {
+                    return '-';
+                }
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+
+            static entityName(entityKey) {
+                return entityKey.replace(/_/g, ' ').replace(/(^\\w)|(\\s+\\w)/g, letter => letter.toUpperCase());
+            }
+        }
+
+        class Dashboard {
+            static locations = [];
+            static devices = new Map();
+
+            static element(tag, className, text) {
+                const element = document.createElement(tag);
+                if (className) {
+                    element.className = className;
+                }
+                if (text !== undefined) {
+                    element.textContent = text;
+                }
+                return element;
+            }
+
+            static badge(ok, text) {
+                return this.element('span', 'badge ' + (ok ? 'ok' : 'fail'), text);
+            }
+
+            static lastUpdate(device) {
+                return Object.values(device.entities)
+                    .map(entity => entity.last_update)
+                    .filter(Boolean)
+                    .sort()
+                    .pop() || null;
+            }
+
+            static renderDevice(device, open) {
+                const details = this.element('details');
+                details.id = 'device-' + device.id;
+                details.open = open;
+
+                const summary = this.element('summary');
+                const name = this.element('span', 'name', device.name);
+                name.appendChild(this.element('span', 'model', device.model || device.device_type));
+                summary.appendChild(name);
+
+                const availability = this.element('span');
+                availability.appendChild(this.badge(device.availability === 'online', device.availability));
+                summary.appendChild(availability);
+                summary.appendChild(this.element('span', 'optional', device.entities.battery
+                    ? Format.value(device.entities.battery.state) + (device.entities.battery.state !== null ? '%' : '') : '-'));
+                summary.appendChild(this.element('span', 'optional', device.entities.wireless
+                    ? Format.value(device.entities.wireless.state) + (device.entities.wireless.state !== null ? ' dBm' : '') : '-'));
+                summary.appendChild(this.element('span', 'optional', Format.time(this.lastUpdate(device))));
+                details.appendChild(summary);
+
+                const table = this.element('table');
+                const header = this.element('tr');
+                ['Entity', 'Type', 'State', 'Last Update'].forEach(title => header.appendChild(this.element('th', null, title)));
+                table.appendChild(header);
+
+                Object.entries(device.entities).forEach(([entityKey, entity]) => {
+                    const row = this.element('tr');
+                    row.id = 'entity-' + device.id + '-' + entityKey;
+                    const properties = Object.entries(entity.properties)
+                        .filter(([, value]) => value !== null)
+                        .map(([key, value]) => key + ': ' + value);
+                    row.appendChild(this.element('td', null, Format.entityName(entityKey)));
+                    row.appendChild(this.element('td', 'muted', entity.component));
+                    row.appendChild(this.element('td', null, [Format.value(entity.state), ...properties].join(', ')));
+                    row.appendChild(this.element('td', 'muted', Format.time(entity.last_update)));
+                    table.appendChild(row);
+                });
+                details.appendChild(table);
+                return details;
+            }
+
+            static render() {
+                const container = document.querySelector('#locations');
+                const open = new Set([...container.querySelectorAll('details[open]')].map(details => details.id));
+                container.textContent = '';
+
+                const locations = [
+                    ...this.locations,
+                    { id: 'bridge', name: 'ring-mqtt', websocket: null }
+                ];
+
+                locations.forEach(location => {
+                    const devices = [...this.devices.values()].filter(device => device.location_id === location.id);
+                    if (devices.length === 0) {
+                        return;
+                    }
+
+                    const section = this.element('div', 'location');
+                    section.id = 'location-' + location.id;
+                    const title = this.element('h2', null, location.name);
+                    if (location.websocket !== null) {
+                        title.appendChild(this.badge(location.websocket, location.websocket ? 'websocket connected' : 'websocket disconnected'));
+                    }
+                    section.appendChild(title);
+
+                    const header = this.element('div', 'header-row');
+                    header.appendChild(this.element('span', null, 'Device'));
+                    header.appendChild(this.element('span', null, 'Availability'));
+                    header.appendChild(this.element('span', 'optional', 'Battery'));
+                    header.appendChild(this.element('span', 'optional', 'Signal'));
+                    header.appendChild(this.element('span', 'optional', 'Last Update'));
+                    section.appendChild(header);
+
+                    devices.sort((a, b) => a.name.localeCompare(b.name))
+                        .forEach(device => section.appendChild(this.renderDevice(device, open.has('device-' + device.id))));
+                    container.appendChild(section);
+                });
+            }
+
+            // Replace a single device, keeping it expanded if it was open, and highlight the updated entity
+            static updateDevice(device, entityKey) {
+                const current = document.querySelector('#device-' + CSS.escape(device.id));
+                if (!current) {
+                    return;
+                }
+                current.replaceWith(this.renderDevice(device, current.open));
+                if (entityKey) {
+                    const row = document.querySelector('#entity-' + CSS.escape(device.id + '-' + entityKey));
+                    if (row) {
+                        row.classList.add('updated');
+                        setTimeout(() => row.classList.remove('updated'), 1000);
+                    }
+                }
+            }
+
+            static handleEvent(event) {
+                const update = JSON.parse(event.data);
+                const device = this.devices.get(update.id);
+                if (!device) {
+                    return;
+                }
+
+                if (update.type === 'availability') {
+                    device.availability = update.availability;
+                    this.updateDevice(device);
+                } else if (update.type === 'entity') {
+                    device.entities[update.entity] = update.data;
+                    this.updateDevice(device, update.entity);
+
+                    // Websocket state of each location is published by the bridge device
+                    if (update.entity.startsWith('websocket_')) {
+                        const location = this.locations.find(location => 'websocket_' + location.id === update.entity);
+                        if (location) {
+                            location.websocket = update.data.state === 'ON';
+                            this.render();
+                        }
+                    }
+                }
+            }
+
+            static async load() {
+                const response = await fetch('dashboard/data');
+                const data = await response.json();
+                this.locations = data.locations;
+                this.devices = new Map(data.devices.map(device => [device.id, device]));
+                this.render();
+            }
+
+            static setStatus(connected) {
+                const status = document.querySelector('#status');
+                status.textContent = '';
+                status.appendChild(this.badge(connected, connected ? 'Live updates connected' : 'Live updates disconnected, reconnecting...'));
+            }
+
+            static async initialize() {
+                try {
+                    await this.load();
+                } catch (err) {
+                    console.error('Failed to load dashboard data:', err);
+                }
+
+                const events = new EventSource('dashboard/events');
+                events.onopen = async () => {
+                    // Reload full state after a reconnect so no updates are missed
+                    if (this.disconnected) {
+                        this.disconnected = false;
+                        await this.load().catch(err => console.error('Failed to reload dashboard data:', err));
+                    }
+                    this.setStatus(true);
+                };
+                events.onerror = () => {
+                    this.disconnected = true;
+                    this.setStatus(false);
+                };
+                events.onmessage = (event) => this.handleEvent(event);
+            }
+        }
+
+        document.addEventListener('DOMContentLoaded', () => {
+            Dashboard.initialize();
+        });
+    </script>
+</body>
+</html>`
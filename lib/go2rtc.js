@@ -1,5 +1,6 @@
 import chalk from 'chalk'
 import utils from './utils.js'
+import metrics from './metrics.js'
 import { spawn } from 'child_process'
 import readline from 'readline'
 import yaml from 'js-yaml'
@@ -12,7 +13,10 @@ const debug = debugModule('ring-rtsp')
 export default new class Go2RTC {
     constructor() {
         this.started = false
+        this.restartRequested = false
         this.go2rtcProcess = false
+        this.cameras = []
+        this.configYaml = false
     }
 
     async init(cameras) {
@@ -20,53 +24,16 @@ export default new class Go2RTC {
         debug(chalk.green('-'.repeat(90)))
         debug('Creating go2rtc configuration and starting go2rtc process...')
 
-        const configFile = (process.env.RUNMODE === 'standard')
+        this.configFile = (process.env.RUNMODE === 'standard')
             ? dirname(fileURLToPath(new URL('.', import.meta.url)))+'/config/go2rtc.yaml'
             : '/data/go2rtc.yaml'
 
-        let config = {
-            log: {
-                level: 'debug',
-                hass: 'info'
-            },
-            api: {
-                listen: ''
-            },
-            srtp: {
-                listen: ''
-            },
-            rtsp: {
-                listen: ':8554',
-                ...(utils.config().livestream_user && utils.config().livestream_pass)
-                    ? {
-                        username: utils.config().livestream_user,
-                        password: utils.config().livestream_pass
-                    } : {},
-                default_query: 'video&audio=aac&audio=opus'
-            },
-            webrtc: {
-                listen: ''
-            }
-        }
-
         if (cameras) {
-            config.streams = {}
-            for (const camera of cameras) {
-                config.streams[`${camera.deviceId}_live`] =
-                    `exec:${dirname(fileURLToPath(new URL('.', import.meta.url)))}/scripts/start-stream.sh ${camera.deviceId} live ${camera.deviceTopic} {output}#killsignal=15`
-                config.streams[`${camera.deviceId}_event`] =
-                    `exec:${dirname(fileURLToPath(new URL('.', import.meta.url)))}/scripts/start-stream.sh ${camera.deviceId} event ${camera.deviceTopic} {output}#killsignal=15`
-            }
-            try {
-                await writeFileAtomic(configFile, yaml.dump(config, { lineWidth: -1 }))
-                debug('Successfully wrote go2rtc configuration file: '+configFile)
-            } catch (err) {
-                debug(chalk.red('Failed to write go2rtc configuration file: '+configFile))
-                debug(err.message)
-            }
+            this.cameras = cameras
+            await this.writeConfig()
         }
 
-        this.go2rtcProcess = spawn('go2rtc', ['-config', configFile], {
+        this.go2rtcProcess = spawn('go2rtc', ['-config', this.configFile], {
             env: process.env,   // set env vars
             cwd: '.',           // set cwd
             stdio: 'pipe'       // forward stdio options
@@ -81,7 +48,13 @@ export default new class Go2RTC {
         this.go2rtcProcess.on('close', async () => {
             await utils.sleep(1) // Delay to avoid spurious messages if shutting down
             if (this.started !== 'shutdown') {
-                debug('The go2rtc process exited unexpectedly, will restart in 5 seconds...')
+                metrics.countGo2rtcRestart(this.restartRequested ? 'config' : 'exit')
+                if (this.restartRequested) {
+                    this.restartRequested = false
+                    debug('The go2rtc process was stopped to apply an updated configuration, will restart in 5 seconds...')
+                } else {
+                    debug('The go2rtc process exited unexpectedly, will restart in 5 seconds...')
+                }
                 this.go2rtcProcess.kill(9)  // Sometimes rtsp-simple-server crashes and doesn't exit completely, try to force kill it
                 await utils.sleep(5)
                 this.init()
@@ -101,6 +74,91 @@ export default new class Go2RTC {
         })
     }
 
+    // Returns true if the configuration file content changed
+    async writeConfig() {
+        let config = {
+            log: {
+                level: 'debug',
+                hass: 'info'
+            },
+            api: {
+                listen: ''
+            },
+            srtp: {
+                listen: ''
+            },
+            rtsp: {
+                listen: ':8554',
+                ...(utils.config().livestream_user && utils.config().livestream_pass)
+                    ? {
+                        username: utils.config().livestream_user,
+                        password: utils.config().livestream_pass
+                    } : {},
+                default_query: 'video&audio=aac&audio=opus'
+            },
+            webrtc: {
+                listen: ''
+            },
+            streams: {}
+        }
+
+        for (const camera of this.cameras) {
+            config.streams[`${camera.deviceId}_live`] =
+                `exec:${dirname(fileURLToPath(new URL('.', import.meta.url)))}/scripts/start-stream.sh ${camera.deviceId} live ${camera.deviceTopic} {output}#killsignal=15`
+            config.streams[`${camera.deviceId}_event`] =
+                `exec:${dirname(fileURLToPath(new URL('.', import.meta.url)))}/scripts/start-stream.sh ${camera.deviceId} event ${camera.deviceTopic} {output}#killsignal=15`
+        }
+
+        const configYaml = yaml.dump(config, { lineWidth: -1 })
+        if (configYaml === this.configYaml) {
+            return false
+        }
+
+        try {
+            await writeFileAtomic(this.configFile, configYaml)
+            this.configYaml = configYaml
+            debug('Successfully wrote go2rtc configuration file: '+this.configFile)
+        } catch (err) {
+            debug(chalk.red('Failed to write go2rtc configuration file: '+this.configFile))
+            debug(err.message)
+            return false
+        }
+        return true
+    }
+
+    // Regenerate the configuration and restart go2rtc if cameras have been added or removed
+    async updateCameras(cameras) {
+        const cameraIds = new Set(cameras.map(camera => camera.deviceId))
+        const currentIds = new Set(this.cameras.map(camera => camera.deviceId))
+        this.cameras = cameras
+        if (cameraIds.size === currentIds.size && [...cameraIds].every(id => currentIds.has(id))) {
+            return
+        }
+        debug('The list of cameras has changed, updating go2rtc configuration...')
+        // Restarting drops active viewers so only restart if the generated configuration differs
+        if (await this.writeConfig()) {
+            this.restart()
+        }
+    }
+
+    // Stop the go2rtc process, the close handler restarts it using the current configuration file
+    restart() {
+        if (this.go2rtcProcess && this.started !== 'shutdown') {
+            this.restartRequested = true
+            this.go2rtcProcess.kill()
+        }
+    }
+
+    // Process state for health checks, go2rtc is only started if there are cameras
+    getState() {
+        if (!this.started) {
+            return 'not_started'
+        } else if (this.started === 'shutdown') {
+            return 'shutdown'
+        }
+        return this.go2rtcProcess && this.go2rtcProcess.exitCode === null ? 'running' : 'stopped'
+    }
+
     shutdown() {
         this.started = 'shutdown'
         if (this.go2rtcProcess) {
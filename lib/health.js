@@ -0,0 +1,72 @@
+import ring from './ring.js'
+import mqtt from './mqtt.js'
+import go2rtc from './go2rtc.js'
+
+// Device discovery that runs longer than this is considered stuck, usually because
+// location.getDevices() is waiting on a hub that is not online
+const DISCOVERY_TIMEOUT = 10 * 60000
+
+// Health and readiness reports for the /healthz and /readyz endpoints of the web service.
+// Liveness only fails for states that are not expected to recover without a restart, readiness
+// requires that ring-mqtt is fully connected and has published all devices. An invalid token
+// only fails readiness as restarting doesn't fix it and the web UI is needed to replace it.
+export default new class Health {
+    getChecks() {
+        const apiState = ring.getApiState()
+        const discoveryState = ring.discoveryComplete
+            ? 'complete'
+            : ring.discoveryInProgress ? 'in_progress' : 'pending'
+        const go2rtcState = go2rtc.getState()
+
+        const locations = ring.locations.filter(location => location.hasHubs)
+        const websockets = Object.fromEntries(locations.map(location => [
+            location.locationId,
+            { name: location.name, connected: Boolean(location.onConnected._value) }
+        ]))
+
+        return {
+            ring_api: {
+                state: apiState,
+                live: true,
+                ready: apiState === 'connected'
+            },
+            mqtt: {
+                state: mqtt.connected ? 'connected' : 'disconnected',
+                live: mqtt.connected || !ring.apiConnected,
+                ready: mqtt.connected
+            },
+            discovery: {
+                state: discoveryState,
+                live: !(ring.discoveryInProgress && Date.now() - ring.discoveryStartTime > DISCOVERY_TIMEOUT),
+                ready: discoveryState === 'complete'
+            },
+            websockets: {
+                state: Object.values(websockets).every(websocket => websocket.connected) ? 'connected' : 'degraded',
+                locations: websockets,
+                live: true,
+                ready: Object.values(websockets).every(websocket => websocket.connected)
+            },
+            go2rtc: {
+                state: go2rtcState,
+                live: go2rtcState !== 'stopped',
+                ready: go2rtcState !== 'stopped'
+            }
+        }
+    }
+
+    // Returns an HTTP status code and report for either the 'live' or 'ready' check type
+    getReport(type) {
+        const checks = this.getChecks()
+        const healthy = Object.values(checks).every(check => check[type])
+        return {
+            code: healthy ? 200 : 503,
+            report: {
+                status: healthy ? 'ok' : 'degraded',
+                checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [ name, {
+                    status: check[type] ? 'ok' : 'fail',
+                    ...Object.fromEntries(Object.entries(check).filter(([key]) => ![ 'live', 'ready' ].includes(key)))
+                } ]))
+            }
+        }
+    }
+}
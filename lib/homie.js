@@ -0,0 +1,193 @@
+import utils from './utils.js'
+
+// Maps ring-mqtt devices and entities to the Homie 4 convention. Each device is published
+// as a Homie device, each entity as a node and each state/command topic pair of the entity
+// as a property. Properties are built from the same discovery messages used for Home Assistant
+// and their values are mirrored from the standard ring-mqtt state topics.
+export default new class Homie {
+    // Homie IDs may only contain lowercase letters, numbers and hyphens
+    getId(id) {
+        return String(id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    }
+
+    getName(id) {
+        return id.replace(/_/g, ' ').replace(/(^\w{1})|(\s+\w{1})/g, letter => letter.toUpperCase())
+    }
+
+    // Build the list of node properties from the topics in the discovery message of an entity
+    getProperties(entity, discoveryMessage) {
+        const properties = {}
+        const topicKeys = Object.keys(discoveryMessage).filter(key => key.match(/topic$/))
+
+        topicKeys.filter(key => !key.match(/command_topic$/)).forEach(key => {
+            // Camera images are binary data and are not published as properties
+            if (key === 'topic') { return }
+            const propertyKey = key === 'state_topic'
+                ? 'state'
+                : key === 'json_attributes_topic'
+                    ? 'attributes'
+                    : key.replace(/(_state)?_topic$/, '')
+            // Entities that use the JSON attributes topic for state do not need a separate attributes property
+            if (propertyKey === 'attributes' && discoveryMessage.json_attributes_topic === discoveryMessage.state_topic) { return }
+            properties[propertyKey] = { stateTopic: discoveryMessage[key] }
+        })
+
+        topicKeys.filter(key => key.match(/command_topic$/)).forEach(key => {
+            const propertyKey = key === 'command_topic' ? 'state' : key.replace(/_command_topic$/, '')
+            properties[propertyKey] = { ...properties[propertyKey], commandTopic: discoveryMessage[key] }
+        })
+
+        return Object.keys(properties).map(propertyKey => {
+            const property = properties[propertyKey]
+            const jsonKey = propertyKey === 'state' && entity.component !== 'event' && discoveryMessage.value_template
+                ? discoveryMessage.value_template.match(/value_json(?:\[["']?(\w+)["']?\]|\.(\w+))/)
+                : null
+            return {
+                id: this.getId(propertyKey),
+                name: propertyKey === 'state' ? discoveryMessage.name || this.getName(propertyKey) : this.getName(propertyKey),
+                ...this.getDatatype(entity, propertyKey, discoveryMessage),
+                ...propertyKey === 'state' && discoveryMessage.unit_of_measurement
+                    ? { unit: discoveryMessage.unit_of_measurement }
+                    : propertyKey.match(/temperature/) ? { unit: '°C' } : {},
+                settable: Boolean(property.commandTopic),
+                retained: !entity.component.match(/^(button|event)$/),
+                stateTopic: property.stateTopic,
+                commandTopic: property.commandTopic,
+                jsonKey: jsonKey ? jsonKey[1] || jsonKey[2] : null
+            }
+        })
+    }
+
+    getDatatype(entity, propertyKey, discoveryMessage) {
+        switch (propertyKey) {
+            case 'state':
+                switch (entity.component) {
+                    case 'switch':
+                    case 'light':
+                    case 'fan':
+                    case 'binary_sensor':
+                        return { datatype: 'enum', format: 'ON,OFF' }
+                    case 'button':
+                        return { datatype: 'enum', format: 'PRESS' }
+                    case 'select':
+                        return { datatype: 'enum', format: discoveryMessage.options.join(',') }
+                    case 'number':
+                        return { datatype: 'float', format: `${discoveryMessage.min}:${discoveryMessage.max}` }
+                    case 'sensor':
+                        return discoveryMessage.unit_of_measurement ? { datatype: 'float' } : { datatype: 'string' }
+                    default:
+                        return { datatype: 'string' }
+                }
+            case 'brightness':
+                return { datatype: 'integer', format: `0:${discoveryMessage.brightness_scale}` }
+            case 'percentage':
+                return { datatype: 'integer', format: '0:100' }
+            case 'mode':
+                return { datatype: 'enum', format: discoveryMessage.modes.join(',') }
+            case 'fan_mode':
+                return { datatype: 'enum', format: discoveryMessage.fan_modes.join(',') }
+            case 'preset_mode':
+                return { datatype: 'enum', format: [ 'None', ...discoveryMessage.preset_modes ].join(',') }
+            default:
+                return propertyKey.match(/temperature/) ? { datatype: 'float' } : { datatype: 'string' }
+        }
+    }
+
+    // Publish Homie attributes for the device, its nodes and their properties, subscribe to the
+    // property set topics and return the list of published topics
+    publishDevice(device, entities) {
+        const deviceTopic = `${utils.config().discovery_prefix}/${this.getId(device.deviceId)}`
+        const topics = []
+        const publish = (topic, value, retain = true) => {
+            utils.event.emit('mqtt_publish', topic, String(value), { retain })
+            topics.push(topic)
+        }
+
+        if (!device.homie) {
+            device.homie = { stateTopics: {}, setTopics: [] }
+        }
+        device.homie.stateTopics = {
+            [device.availabilityTopic]: [ { topic: `${deviceTopic}/$state`, values: { online: 'ready', offline: 'lost' } } ]
+        }
+
+        if (device.availabilityState === 'unpublished') {
+            publish(`${deviceTopic}/$state`, 'init')
+        } else {
+            topics.push(`${deviceTopic}/$state`)
+        }
+        publish(`${deviceTopic}/$homie`, '4.0.0')
+        publish(`${deviceTopic}/$name`, device.deviceData.name)
+        publish(`${deviceTopic}/$extensions`, '')
+
+        const nodeIds = []
+        for (const { entityKey, entity, discoveryMessage } of entities) {
+            const properties = this.getProperties(entity, discoveryMessage)
+            if (properties.length === 0) { continue }
+
+            const nodeId = this.getId(entityKey)
+            const nodeTopic = `${deviceTopic}/${nodeId}`
+            nodeIds.push(nodeId)
+            publish(`${nodeTopic}/$name`, discoveryMessage.name || device.deviceData.name)
+            publish(`${nodeTopic}/$type`, entity.component)
+            publish(`${nodeTopic}/$properties`, properties.map(property => property.id).join(','))
+
+            for (const property of properties) {
+                const propertyTopic = `${nodeTopic}/${property.id}`
+                publish(`${propertyTopic}/$name`, property.name)
+                publish(`${propertyTopic}/$datatype`, property.datatype)
+                if (property.format) { publish(`${propertyTopic}/$format`, property.format) }
+                if (property.unit) { publish(`${propertyTopic}/$unit`, property.unit) }
+                publish(`${propertyTopic}/$settable`, property.settable)
+                publish(`${propertyTopic}/$retained`, property.retained)
+                if (property.retained) { topics.push(propertyTopic) }
+
+                if (property.stateTopic) {
+                    device.homie.stateTopics[property.stateTopic] = [
+                        ...device.homie.stateTopics[property.stateTopic] || [],
+                        { topic: propertyTopic, jsonKey: property.jsonKey, retain: property.retained }
+                    ]
+                }
+
+                // Commands received on the property set topic are processed as if received on the
+                // original command topic so they share the same handlers and command results
+                if (property.commandTopic && !device.homie.setTopics.includes(`${propertyTopic}/set`)) {
+                    const command = property.commandTopic.split('/').slice(-2).join('/')
+                    device.homie.setTopics.push(`${propertyTopic}/set`)
+                    utils.event.emit('mqtt_subscribe', `${propertyTopic}/set`)
+                    utils.event.on(`${propertyTopic}/set`, (topic, message) => {
+                        device.executeCommand(command, message)
+                    })
+                }
+            }
+        }
+        publish(`${deviceTopic}/$nodes`, nodeIds.join(','))
+
+        return topics
+    }
+
+    // An MQTT connection only has a single Last Will, which is used for the ring-mqtt bridge status
+    // topic, so Homie devices are only set to disconnected when ring-mqtt shuts down cleanly
+    publishDisconnected(device) {
+        if (!device.homie) { return }
+        utils.event.emit('mqtt_publish', `${utils.config().discovery_prefix}/${this.getId(device.deviceId)}/$state`, 'disconnected', { retain: true })
+    }
+
+    // Mirror a value published to a standard ring-mqtt topic to the matching Homie topics
+    publishValue(homieTopics, message) {
+        for (const homieTopic of homieTopics) {
+            let value = typeof message === 'number' ? message.toString() : message
+            if (homieTopic.values) {
+                value = homieTopic.values[value] || value
+            } else if (homieTopic.jsonKey) {
+                try {
+                    value = JSON.parse(message)[homieTopic.jsonKey]
+                } catch {
+                    continue
+                }
+                if (value === undefined) { continue }
+                value = typeof value === 'object' ? JSON.stringify(value) : String(value)
+            }
+            utils.event.emit('mqtt_publish', homieTopic.topic, value, { retain: homieTopic.retain !== false })
+        }
+    }
+}
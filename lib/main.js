@@ -36,10 +36,8 @@ export default new class Main {
             await state.init()
         }
 
-        // For the HA addon, Web UI is always started
-        if (process.env.RUNMODE === 'addon') {
-            webService.start(state.data.systemId)
-        }
+        // Web service is always started to provide the health and readiness endpoints
+        webService.start(state.data.systemId)
 
         const hasToken = state.data.ring_token || generatedToken
         if (!hasToken) {
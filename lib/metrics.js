@@ -0,0 +1,153 @@
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client'
+
+// Prometheus metrics for the ring-mqtt process, served by the web service at /metrics
+export default new class Metrics {
+    constructor() {
+        this.registry = new Registry()
+        collectDefaultMetrics({ register: this.registry, prefix: 'ringmqtt_' })
+
+        this.mqttPublishes = new Counter({
+            name: 'ringmqtt_mqtt_publishes_total',
+            help: 'MQTT messages published, by topic class',
+            labelNames: [ 'class' ],
+            registers: [ this.registry ]
+        })
+
+        this.commands = new Counter({
+            name: 'ringmqtt_commands_total',
+            help: 'Commands received, by device type and result',
+            labelNames: [ 'device_type', 'result' ],
+            registers: [ this.registry ]
+        })
+
+        this.apiRequestDuration = new Histogram({
+            name: 'ringmqtt_ring_api_request_duration_seconds',
+            help: 'Ring API request latency in seconds',
+            labelNames: [ 'method' ],
+            buckets: [ 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ],
+            registers: [ this.registry ]
+        })
+
+        this.apiRequestErrors = new Counter({
+            name: 'ringmqtt_ring_api_request_errors_total',
+            help: 'Ring API requests that failed',
+            labelNames: [ 'method' ],
+            registers: [ this.registry ]
+        })
+
+        this.websocketConnected = new Gauge({
+            name: 'ringmqtt_location_websocket_connected',
+            help: 'Websocket connection state for locations with alarm or lighting hubs (1 = connected)',
+            labelNames: [ 'location_id', 'location_name' ],
+            registers: [ this.registry ]
+        })
+
+        this.snapshots = new Counter({
+            name: 'ringmqtt_snapshot_fetches_total',
+            help: 'Camera snapshot fetch attempts, by snapshot type and result',
+            labelNames: [ 'type', 'result' ],
+            registers: [ this.registry ]
+        })
+
+        this.activeStreams = new Gauge({
+            name: 'ringmqtt_active_streams',
+            help: 'Active camera streams, by stream type',
+            labelNames: [ 'type' ],
+            registers: [ this.registry ]
+        })
+
+        this.go2rtcRestarts = new Counter({
+            name: 'ringmqtt_go2rtc_restarts_total',
+            help: 'Restarts of the go2rtc process, by reason',
+            labelNames: [ 'reason' ],
+            registers: [ this.registry ]
+        })
+
+        this.deviceOnline = new Gauge({
+            name: 'ringmqtt_device_online',
+            help: 'Device availability (1 = online)',
+            labelNames: [ 'device_id', 'device_type', 'name' ],
+            registers: [ this.registry ]
+        })
+    }
+
+    countPublish(topic) {
+        const topicClass = topic.endsWith('/config')
+            ? 'discovery'
+            : topic.endsWith('/status') || topic.endsWith('/$state')
+                ? 'availability'
+                : topic.endsWith('/attributes')
+                    ? 'attributes'
+                    : topic.endsWith('/command_result')
+                        ? 'command_result'
+                        : topic.endsWith('/image')
+                            ? 'image'
+                            : topic.match(/\/\$[a-z]+$/)
+                                ? 'discovery'
+                                : 'state'
+        this.mqttPublishes.inc({ class: topicClass })
+    }
+
+    countCommand(deviceType, success) {
+        this.commands.inc({ device_type: deviceType || 'unknown', result: success ? 'success' : 'failure' })
+    }
+
+    countSnapshot(type, success) {
+        this.snapshots.inc({ type, result: success ? 'success' : 'failure' })
+    }
+
+    countGo2rtcRestart(reason) {
+        this.go2rtcRestarts.inc({ reason })
+    }
+
+    // Wrap the request function of the Ring REST client to record latency and errors. Cameras,
+    // chimes and locations all share this client so every Ring API request is measured.
+    instrumentRestClient(restClient) {
+        if (restClient.metricsInstrumented) { return }
+        restClient.metricsInstrumented = true
+        const request = restClient.request.bind(restClient)
+        restClient.request = async (options) => {
+            const method = (options.method || 'GET').toUpperCase()
+            const endTimer = this.apiRequestDuration.startTimer({ method })
+            try {
+                return await request(options)
+            } catch (err) {
+                this.apiRequestErrors.inc({ method })
+                throw err
+            } finally {
+                endTimer()
+            }
+        }
+    }
+
+    // Gauges that reflect current state are updated from the device and location lists when scraped
+    async getMetrics(devices, locations) {
+        this.deviceOnline.reset()
+        devices.forEach(device => {
+            this.deviceOnline.set({
+                device_id: device.deviceId,
+                device_type: device.device?.deviceType || 'unknown',
+                name: device.deviceData.name
+            }, device.availabilityState === 'online' ? 1 : 0)
+        })
+
+        this.websocketConnected.reset()
+        locations.filter(location => location.hasHubs).forEach(location => {
+            this.websocketConnected.set({
+                location_id: location.locationId,
+                location_name: location.name
+            }, location.onConnected._value ? 1 : 0)
+        })
+
+        const streams = devices.filter(device => device.data?.stream)
+        for (const type of [ 'live', 'event' ]) {
+            this.activeStreams.set({ type }, streams.filter(device => device.data.stream[type].status === 'active').length)
+        }
+
+        return this.registry.metrics()
+    }
+
+    get contentType() {
+        return this.registry.contentType
+    }
+}
@@ -1,6 +1,7 @@
 import mqttApi from 'mqtt'
 import chalk from 'chalk'
 import utils from './utils.js'
+import metrics from './metrics.js'
 import fs from 'fs'
 import parseArgs from 'minimist'
 import Aedes from 'aedes'
@@ -13,6 +14,7 @@ export default new class Mqtt {
         this.client = false
         this.ipcClient = false
         this.connected = false
+        this.bridgeTopic = false
 
         // Start internal broker, used only for inter-process communication (IPC)
         const mqttServer = new Aedes()
@@ -29,8 +31,9 @@ export default new class Mqtt {
         })
 
         // Handle client MQTT broker events
-        utils.event.on('mqtt_publish', (topic, message) => {
-            this.client.publish(topic, (typeof message === 'number') ? message.toString() : message, { qos: 1 })
+        utils.event.on('mqtt_publish', (topic, message, options) => {
+            metrics.countPublish(topic)
+            this.client.publish(topic, (typeof message === 'number') ? message.toString() : message, { qos: 1, ...options })
         })
 
         utils.event.on('mqtt_subscribe', (topic) => {
@@ -79,6 +82,17 @@ export default new class Mqtt {
                     debug(chalk.yellow('Could not parse MQTT advanced options, continuing with default settings'))
                 }
             }
+
+            // Bridge availability is retained and set offline by the broker via Last Will if
+            // the ring-mqtt process exits without a clean shutdown
+            this.bridgeTopic = `${utils.config().ring_topic}/bridge/status`
+            mqttOptions.will = {
+                topic: this.bridgeTopic,
+                payload: 'offline',
+                qos: 1,
+                retain: true
+            }
+
             debug('Attempting connection to MQTT broker...')
 
             // Connect to client facing MQTT broker
@@ -103,6 +117,7 @@ export default new class Mqtt {
     start() {
         // On MQTT connect/reconnect send config/state information after delay
         this.client.on('connect', () => {
+            this.publishBridgeState('online')
             if (!this.connected) {
                 this.connected = true
                 utils.event.emit('mqtt_state', 'connected')
@@ -140,4 +155,11 @@ export default new class Mqtt {
             utils.event.emit(topic, topic.split("/").slice(-2).join("/"), message.toString())
         })
     }
+
+    // Publish retained bridge availability state
+    publishBridgeState(state) {
+        if (this.client && this.bridgeTopic) {
+            this.client.publish(this.bridgeTopic, state, { qos: 1, retain: true })
+        }
+    }
 }
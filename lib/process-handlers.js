@@ -1,6 +1,8 @@
 import chalk from 'chalk'
 import utils from './utils.js'
 import ring from './ring.js'
+import mqtt from './mqtt.js'
+import homie from './homie.js'
 import debugModule from 'debug'
 const debug = debugModule('ring-mqtt')
 
@@ -13,6 +15,10 @@ export default new class ProcessHandlers {
         process.on('exit', this.processExit.bind(null, 0))
         process.on('SIGINT', this.processExit.bind(null, 0))
         process.on('SIGTERM', this.processExit.bind(null, 0))
+        process.on('SIGHUP', () => {
+            debug('Received SIGHUP signal')
+            utils.event.emit('reload_config')
+        })
         process.on('uncaughtException', (err) => {
             debug(chalk.red('ERROR - Uncaught Exception'))
             debug(chalk.red(err.message))
@@ -39,6 +45,7 @@ export default new class ProcessHandlers {
     async processExit(exitCode) {
         await utils.sleep(1)
         debug('The ring-mqtt process is shutting down...')
+        ring.stopRecordings()
         await ring.go2rtcShutdown()
         if (ring.devices.length > 0) {
             debug('Setting all devices offline...')
@@ -50,6 +57,12 @@ export default new class ProcessHandlers {
                 }
             })
         }
+        if (utils.config().discovery_mode === 'homie') {
+            [ ring.bridge, ...ring.devices ].filter(Boolean).forEach(ringDevice => {
+                homie.publishDisconnected(ringDevice)
+            })
+        }
+        mqtt.publishBridgeState('offline')
         await utils.sleep(2)
         if (exitCode || exitCode === 0) debug(`Exit code: ${exitCode}`);
         process.exit()
@@ -1,7 +1,11 @@
 import { RingApi, RingDeviceType, RingCamera, RingChime, RingIntercom } from 'ring-client-api'
+import { clientApi } from 'ring-client-api/rest-client'
 import chalk from 'chalk'
 import utils from './utils.js'
+import config from './config.js'
+import state from './state.js'
 import go2rtc from './go2rtc.js'
+import metrics from './metrics.js'
 import BaseStation from '../devices/base-station.js'
 import Beam from '../devices/beam.js'
 import BeamOutdoorPlug from '../devices/beam-outdoor-plug.js'
@@ -27,6 +31,7 @@ import Switch from '../devices/switch.js'
 import TemperatureSensor from '../devices/temperature-sensor.js'
 import Thermostat from '../devices/thermostat.js'
 import Valve from '../devices/valve.js'
+import RingMqttBridge from '../devices/ring-mqtt-bridge.js'
 import debugModule from 'debug'
 const debug = debugModule('ring-mqtt')
 
@@ -34,15 +39,26 @@ export default new class RingMqtt {
     constructor() {
         this.locations = new Array()
         this.devices = new Array()
+        this.bridge = false
         this.client = false
         this.mqttConnected = false
         this.republishCount = 6 // Republish config/state this many times after startup or HA start/restart
         this.refreshToken = undefined
+        this.discoveryInProgress = false
+        this.discoveryComplete = false
+        this.discoveryStartTime = 0
+        this.apiConnected = false
+        this.tokenInvalid = false
+        this.tokenStatus = 'unknown'
+        this.rediscoveryInterval = false
 
         // Configure event listeners
         utils.event.on('mqtt_state', async (state) => {
             if (state === 'connected') {
                 this.mqttConnected = true
+                if (!this.bridge) {
+                    this.bridge = new RingMqttBridge({ locations: this.locations, getTokenStatus: () => this.getTokenStatus() })
+                }
                 if (this.locations.length > 0) {
                     debug('MQTT connection re-established, republishing Ring locations...')
                     this.publishLocations()
@@ -50,6 +66,7 @@ export default new class RingMqtt {
                     debug('MQTT connection established, processing Ring locations...')
                     await this.initRingData()
                     this.publishLocations()
+                    this.scheduleRediscovery()
                 }
             } else {
                 this.mqttConnected = false
@@ -73,11 +90,34 @@ export default new class RingMqtt {
             }
         })
 
+        utils.event.on('rediscover_devices', () => {
+            this.rediscoverDevices()
+        })
+
+        // The optional callback receives the promise of the requested action so the
+        // caller can report the result, failures are already logged otherwise
+        utils.event.on('ring_token_refresh', (callback) => {
+            const result = this.refreshAuth()
+            callback ? callback(result) : result.catch(() => {})
+        })
+
+        utils.event.on('ring_logout', (callback) => {
+            const result = this.logout()
+            callback ? callback(result) : result.catch(() => {})
+        })
+
+        utils.event.on('reload_config', (callback) => {
+            const result = this.reloadConfig()
+            callback ? callback(result) : result.catch(() => {})
+        })
+
         // Check for invalid refreshToken after connection was successfully made
         // This usually indicates a Ring service outage impacting authentication
         setInterval(() => {
-            if (this.client && !this.client.restClient.refreshToken) {
+            if (this.client && this.refreshToken && !this.client.restClient.refreshToken) {
                 debug(chalk.yellow('Possible Ring service outage detected, forcing use of refresh token from latest state'))
+                this.tokenInvalid = true
+                this.updateTokenStatus()
                 this.client.restClient.refreshToken = this.refreshToken
                 this.client.restClient._authPromise = undefined
             }
@@ -87,7 +127,7 @@ export default new class RingMqtt {
     async init(state, generatedToken) {
         if (generatedToken) {
             this.refreshToken = generatedToken
-            state.updateToken(generatedToken)
+            state.updateToken(generatedToken, { generated: true })
         } else {
             this.refreshToken = state.data.ring_token
         }
@@ -99,11 +139,18 @@ export default new class RingMqtt {
                 this.client.restClient._authPromise = undefined
                 await utils.sleep(2)
                 await this.client.getProfile()
+                this.tokenInvalid = false
+                if (!this.apiConnected) {
+                    this.apiConnected = true
+                    utils.event.emit('ring_api_state', 'connected')
+                }
                 debug(`Successfully re-established connection to Ring API using generated refresh token`)
             } catch (error) {
+                this.tokenInvalid = true
                 debug(chalk.yellowBright(error.message))
                 debug(chalk.yellowBright(`Failed to re-establish connection to Ring API using generated refresh token`))
             }
+            this.updateTokenStatus()
         } else {
             const ringAuth = {
                 refreshToken: this.refreshToken,
@@ -117,8 +164,11 @@ export default new class RingMqtt {
             try {
                 debug(`Attempting connection to Ring API using ${generatedToken ? 'generated' : 'saved'} refresh token...`)
                 this.client = new RingApi(ringAuth)
+                metrics.instrumentRestClient(this.client.restClient)
                 await utils.sleep(2)
                 await this.client.getProfile()
+                this.apiConnected = true
+                this.tokenInvalid = false
                 utils.event.emit('ring_api_state', 'connected')
                 debug(`Successfully established connection to Ring API using ${generatedToken ? 'generated' : 'saved'} token`)
 
@@ -129,13 +179,18 @@ export default new class RingMqtt {
                     }
                     debug('Received updated refresh token')
                     this.refreshToken = newRefreshToken
-                    state.updateToken(newRefreshToken)
+                    this.tokenInvalid = false
+                    // Token is also updated when push notification credentials change, which is not a refresh
+                    state.updateToken(newRefreshToken, { refreshed: this.getTokenRt(newRefreshToken) !== this.getTokenRt(oldRefreshToken) })
+                    this.updateTokenStatus()
                 })
             } catch(error) {
                 this.client = false
+                this.tokenInvalid = true
                 debug(chalk.yellowBright(error.message))
                 debug(chalk.yellowBright(`Failed to establish connection to Ring API using ${generatedToken ? 'generated' : 'saved'} refresh token`))
             }
+            this.updateTokenStatus()
         }
 
         return this.client
@@ -143,6 +198,112 @@ export default new class RingMqtt {
 
     // Update all Ring location/device data
     async initRingData() {
+        this.discoveryInProgress = true
+        this.discoveryStartTime = Date.now()
+        try {
+            await this.discoverDevices()
+            this.discoveryComplete = true
+        } finally {
+            this.discoveryInProgress = false
+        }
+    }
+
+    // Ring API connection state for health checks, the API client clears the
+    // refresh token if authentication fails after the initial connection
+    getApiState() {
+        if (!this.client || !this.apiConnected) {
+            return 'disconnected'
+        }
+        return this.client.restClient.refreshToken ? 'connected' : 'auth_error'
+    }
+
+    // The refresh token is a base64 encoded auth config, rt holds the actual Ring OAuth refresh token
+    getTokenRt(refreshToken) {
+        try {
+            return JSON.parse(Buffer.from(refreshToken, 'base64').toString()).rt
+        } catch {
+            return refreshToken
+        }
+    }
+
+    getTokenStatus() {
+        const status = !state.data.ring_token
+            ? 'missing'
+            : this.tokenInvalid || this.getApiState() === 'auth_error'
+                ? 'invalid'
+                : this.apiConnected ? 'valid' : 'unknown'
+        return {
+            status,
+            created: state.data.token_created ? utils.getISOTime(state.data.token_created) : null,
+            last_refresh: state.data.token_refreshed ? utils.getISOTime(state.data.token_refreshed) : null,
+            age_days: state.data.token_created ? Math.floor((Date.now() - state.data.token_created) / 86400000) : null
+        }
+    }
+
+    // Notify the bridge device and web UI when the token status changes
+    updateTokenStatus() {
+        const { status } = this.getTokenStatus()
+        if (status !== this.tokenStatus) {
+            this.tokenStatus = status
+            debug(`Ring refresh token status is ${status}`)
+        }
+        utils.event.emit('ring_token_state', status)
+    }
+
+    // Force a new access token to be requested using the current refresh token to verify it is still valid
+    async refreshAuth() {
+        if (!this.client || !this.refreshToken) {
+            debug(chalk.yellow('Unable to refresh authentication, ring-mqtt is not connected to a Ring account'))
+            return false
+        }
+
+        debug('Forcing refresh of Ring API authentication using current refresh token')
+        this.client.restClient.refreshToken = this.refreshToken
+        this.client.restClient._authPromise = undefined
+        try {
+            await this.client.getProfile()
+            this.tokenInvalid = false
+            debug('Successfully refreshed Ring API authentication')
+        } catch (error) {
+            this.tokenInvalid = true
+            debug(chalk.red(error.message))
+            debug(chalk.red('Failed to refresh Ring API authentication, generate a new token using the Web UI'))
+        }
+        this.updateTokenStatus()
+        return !this.tokenInvalid
+    }
+
+    // Remove ring-mqtt from the authorized client devices of the Ring account and clear the saved
+    // refresh token. A new token can then be generated using the Web UI. The saved token is always
+    // cleared but an error is thrown if ring-mqtt could not be removed from the account.
+    async logout() {
+        debug(chalk.yellow('Logging out of Ring account and removing saved refresh token'))
+        let sessionError = null
+        if (this.client && this.refreshToken) {
+            try {
+                await this.client.restClient.request({ method: 'DELETE', url: clientApi('session') })
+                debug('Removed ring-mqtt from the authorized client devices of the Ring account')
+            } catch (error) {
+                sessionError = `Unable to remove ring-mqtt from the authorized client devices of the Ring account: ${error.message}`
+                debug(chalk.yellow(sessionError))
+            }
+            this.client.restClient.refreshToken = undefined
+            this.client.restClient._authPromise = undefined
+        }
+        this.refreshToken = undefined
+        this.tokenInvalid = false
+        state.clearToken()
+        if (this.apiConnected) {
+            this.apiConnected = false
+            utils.event.emit('ring_api_state', 'disconnected')
+        }
+        this.updateTokenStatus()
+        if (sessionError) {
+            throw new Error(sessionError)
+        }
+    }
+
+    async discoverDevices() {
         // Small delay here makes debug output more readable
         await utils.sleep(2)
 
@@ -150,20 +311,26 @@ export default new class RingMqtt {
         const locations = await this.client.getLocations()
 
         debug(chalk.green('-'.repeat(90)))
-        debug(chalk.white('This account has access to the following locations:'))
-        locations.map(function(location) {
-            debug('           '+chalk.green(location.name)+chalk.cyan(` (${location.id})`))
-        })
-        debug(' '.repeat(90))
-        debug(chalk.yellowBright('IMPORTANT: ')+chalk.white('If any alarm or smart lighting hubs for a location are in any state other      '))
-        debug(chalk.white('           than *ONLINE*, including *OFFLINE* or *CELL BACKUP*, device discovery will     '))
-        debug(chalk.white('           hang and no devices will be published until the hub returns to *ONLINE* state. '))
-        debug(' '.repeat(90))
-        debug(chalk.white('           If desired, the "location_ids" config option can be used to restrict           '))
-        debug(chalk.white('           discovery to specific locations. See the documentation for details.            '))
-        debug(chalk.green('-'.repeat(90)))
+        if (this.locations.length === 0) {
+            debug(chalk.white('This account has access to the following locations:'))
+            locations.map(function(location) {
+                debug('           '+chalk.green(location.name)+chalk.cyan(` (${location.id})`))
+            })
+            debug(' '.repeat(90))
+            debug(chalk.yellowBright('IMPORTANT: ')+chalk.white('If any alarm or smart lighting hubs for a location are in any state other      '))
+            debug(chalk.white('           than *ONLINE*, including *OFFLINE* or *CELL BACKUP*, device discovery will     '))
+            debug(chalk.white('           hang and no devices will be published until the hub returns to *ONLINE* state. '))
+            debug(' '.repeat(90))
+            debug(chalk.white('           If desired, the "location_ids" config option can be used to restrict           '))
+            debug(chalk.white('           discovery to specific locations. See the documentation for details.            '))
+            debug(chalk.green('-'.repeat(90)))
+        }
         debug(chalk.white('Starting Device Discovery...'))
 
+        // IDs of all devices found in the account, including devices that are not published
+        // due to configuration, so saved settings are only removed for devices that are gone
+        const accountDeviceIds = new Set()
+
         // Loop through each location and update stored locations/devices
         for (const location of locations) {
             let cameras = new Array()
@@ -235,6 +402,10 @@ export default new class RingMqtt {
             }
 
             const allDevices = [...devices, ...cameras, ...chimes, ...intercoms]
+            for (const device of [...devices, ...location.cameras, ...location.chimes, ...location.intercoms]) {
+                accountDeviceIds.add(this.getDeviceId(device))
+            }
+            accountDeviceIds.add(location.locationId + '_mode')
 
             // Add modes panel, if configured and the location supports it
             if (utils.config().enable_modes && (await location.supportsLocationModeSwitching())) {
@@ -252,14 +423,23 @@ export default new class RingMqtt {
 
             // Update Ring devices for location
             for (const device of allDevices) {
-                const deviceId = (device instanceof RingCamera || device instanceof RingChime || device instanceof RingIntercom) ? device.data.device_id : device.id
+                const deviceId = this.getDeviceId(device)
                 let foundMessage = '  New device: '
                 let ringDevice = this.devices.find(d => d.deviceId === deviceId && d.locationId === location.locationId)
-                if (ringDevice) {
+                if (ringDevice && this.isDeviceExcluded(device)) {
+                    debug(chalk.white('  Removed excluded device: ')+chalk.gray(`${ringDevice.deviceData.name}`)+chalk.cyan(` (${deviceId})`))
+                    ringDevice.remove()
+                    this.devices.splice(this.devices.indexOf(ringDevice), 1)
+                    ringDevice = false
+                } else if (ringDevice) {
                     foundMessage = '  Existing device: '
                 } else {
                     ringDevice = await this.getDevice(device, allDevices, events)
                     switch (ringDevice) {
+                        case 'excluded':
+                            debug(chalk.white('  Excluded device: ')+chalk.gray(`${device.name}`)+chalk.cyan(` (${deviceId})`))
+                            ringDevice=false
+                            break
                         case 'not-supported':
                             // Save unsupported device type for log output later
                             unsupportedDevices.push(device.deviceType)
@@ -298,17 +478,233 @@ export default new class RingMqtt {
         await utils.sleep(2)
         debug(' '.repeat(90))
         debug(chalk.white('Device Discovery Complete!'))
+        this.removeStaleDevices(accountDeviceIds)
         const cameras = await this.devices.filter(d => d.device instanceof RingCamera)
         if (cameras.length > 0 && !go2rtc.started) {
             await go2rtc.init(cameras)
         } else {
             debug(chalk.green('-'.repeat(90)))
+            if (go2rtc.started) {
+                await go2rtc.updateCameras(cameras)
+            }
         }
         await utils.sleep(3)
     }
 
+    // Periodically check for devices added to the account since startup
+    scheduleRediscovery() {
+        clearInterval(this.rediscoveryInterval)
+        this.rediscoveryInterval = false
+        const interval = Number(utils.config().rediscovery_interval)
+        if (interval > 0) {
+            debug(`Device rediscovery will run every ${interval} minutes`)
+            this.rediscoveryInterval = setInterval(() => {
+                this.rediscoverDevices()
+            }, interval * 60000)
+        }
+    }
+
+    // Re-read the configuration and apply changed options that don't require a restart
+    async reloadConfig() {
+        debug('Reloading configuration...')
+        const result = await config.reload()
+        if (result.errors.length > 0) {
+            debug(chalk.red('Configuration reload failed, the current configuration remains active'))
+        } else {
+            const reloads = new Set(result.applied.map(change => change.reload))
+            result.applied.forEach(change => {
+                debug(`Configuration option ${change.key} was updated`)
+            })
+
+            if (reloads.has('streams')) {
+                const cameras = this.devices.filter(device => device.device instanceof RingCamera)
+                cameras.forEach(camera => {
+                    camera.updateStreamSource()
+                })
+                if (go2rtc.started && cameras.length > 0) {
+                    debug('Livestream credentials changed, updating go2rtc configuration...')
+                    if (await go2rtc.writeConfig()) {
+                        go2rtc.restart()
+                    }
+                }
+                if (this.mqttConnected && !reloads.has('republish')) {
+                    cameras.forEach(camera => {
+                        camera.publishAttributes()
+                    })
+                }
+            }
+
+            if (reloads.has('rediscovery') && this.locations.length > 0) {
+                this.scheduleRediscovery()
+            }
+
+            if (reloads.has('devices') && this.locations.length > 0) {
+                debug('Device filters changed, rediscovering devices...')
+                await this.rediscoverDevices()
+            }
+
+            if (reloads.has('republish') && this.mqttConnected && this.locations.length > 0) {
+                debug('Republishing devices with updated configuration...')
+                this.publishLocations()
+            }
+
+            if (result.restart.length > 0) {
+                debug(chalk.yellow(`Changes to the following options require a restart of ring-mqtt: ${result.restart.join(', ')}`))
+            }
+            if (result.applied.length === 0 && result.restart.length === 0) {
+                debug('Configuration reloaded, no changes were found')
+            }
+        }
+
+        return {
+            success: result.errors.length === 0,
+            errors: result.errors,
+            applied: result.applied.map(change => change.key),
+            restart_required: result.restart
+        }
+    }
+
+    // Discover and publish any devices added to the account without disturbing existing devices
+    async rediscoverDevices() {
+        if (!this.client || this.locations.length === 0) {
+            debug('Initial device discovery has not completed, ignoring rediscovery request')
+            return
+        } else if (this.discoveryInProgress) {
+            debug('Device discovery is already in progress, ignoring rediscovery request')
+            return
+        }
+
+        debug('Starting device rediscovery...')
+        const existingDevices = [...this.devices]
+        try {
+            this.discoveryInProgress = true
+            await this.refreshPolledDevices()
+            await this.refreshHubDevices()
+        } finally {
+            this.discoveryInProgress = false
+        }
+        await this.initRingData()
+
+        const newDevices = this.devices.filter(d => !existingDevices.includes(d))
+        if (newDevices.length === 0) {
+            debug('Device rediscovery complete, no new devices were found')
+            return
+        }
+
+        debug(`Device rediscovery found ${newDevices.length} new device(s), publishing...`)
+        for (const location of this.locations) {
+            newDevices.filter(d => d.locationId == location.locationId).forEach(device => {
+                device.publish(location.onConnected._value)
+            })
+        }
+    }
+
+    // The Ring API client only creates camera, chime and intercom objects when locations are
+    // first retrieved, so create objects for any of these devices added to the account since
+    async refreshPolledDevices() {
+        if (!utils.config().enable_cameras) {
+            return
+        }
+
+        let ringDevices
+        try {
+            ringDevices = await this.client.fetchRingDevices()
+        } catch (err) {
+            debug(err.message)
+            debug(chalk.yellow('Failed to retrieve updated device list from Ring API'))
+            return
+        }
+
+        const newCameras = new Array()
+        const newChimes = new Array()
+        const newIntercoms = new Array()
+        for (const location of this.locations) {
+            ringDevices.allCameras
+                .filter(data => data.location_id === location.locationId && !location.cameras.some(c => c.id === data.id))
+                .forEach(data => {
+                    const isDoorbot = ringDevices.doorbots.includes(data) ||
+                        ringDevices.authorizedDoorbots.includes(data) ||
+                        data.kind.startsWith('doorbell')
+                    const camera = new RingCamera(data, isDoorbot, this.client.restClient, this.client.options.avoidSnapshotBatteryDrain || false)
+                    location.cameras.push(camera)
+                    newCameras.push(camera)
+                })
+
+            ringDevices.chimes
+                .filter(data => data.location_id === location.locationId && !location.chimes.some(c => c.id === data.id))
+                .forEach(data => {
+                    const chime = new RingChime(data, this.client.restClient)
+                    location.chimes.push(chime)
+                    newChimes.push(chime)
+                })
+
+            ringDevices.intercoms
+                .filter(data => data.location_id === location.locationId && !location.intercoms.some(i => i.id === data.id))
+                .forEach(data => {
+                    const intercom = new RingIntercom(data, this.client.restClient)
+                    location.intercoms.push(intercom)
+                    newIntercoms.push(intercom)
+                })
+        }
+
+        if (newCameras.length > 0 || newChimes.length > 0 || newIntercoms.length > 0) {
+            // Start polling for status updates of the new devices
+            this.client.listenForDeviceUpdates(newCameras, newChimes, newIntercoms)
+            if (newCameras.length > 0 || newIntercoms.length > 0) {
+                debug(chalk.yellow('Motion and ding push notifications for newly added cameras and intercoms will be received after ring-mqtt is restarted'))
+            }
+        }
+    }
+
+    // The location device list is replayed from the last list received from each hub, so request
+    // an updated list from every hub to pick up devices added since the location connected
+    async refreshHubDevices() {
+        for (const location of this.locations.filter(l => l.hasHubs && l.assets)) {
+            try {
+                await Promise.race([
+                    Promise.all(location.assets.map(asset => location.getList('DeviceInfoDocGetList', asset.uuid))),
+                    utils.sleep(30).then(() => { throw new Error('Timeout waiting for device list') })
+                ])
+            } catch (err) {
+                debug(err.message)
+                debug(chalk.yellow(`Failed to retrieve updated device list for location ${location.name}`))
+            }
+        }
+    }
+
+    getDeviceId(device) {
+        return (device instanceof RingCamera || device instanceof RingChime || device instanceof RingIntercom) ? device.data.device_id : device.id
+    }
+
+    // Remove discovery config for devices that are no longer published, either because they were
+    // removed from the account or are excluded by configuration. Saved settings are kept for
+    // excluded devices and, as devices of other locations are unknown, are only removed for
+    // devices no longer found in the account when discovery includes all locations.
+    removeStaleDevices(accountDeviceIds) {
+        const deviceIds = [ ...this.devices.map(d => d.deviceId), ...this.bridge ? [ this.bridge.deviceId ] : [] ]
+
+        Object.keys(state.getAllDiscoveryTopics()).filter(deviceId => !deviceIds.includes(deviceId)).forEach(deviceId => {
+            debug(chalk.yellow(`  Removing discovery for device no longer found in account or excluded by configuration: ${deviceId}`))
+            state.getDeviceDiscoveryTopics(deviceId).forEach(topic => {
+                utils.event.emit('mqtt_publish', topic, '', { retain: true })
+            })
+            state.deleteDeviceDiscoveryTopics(deviceId)
+        })
+
+        if (utils.config().location_ids.length === 0) {
+            Object.keys(state.getAllSavedStates()).filter(deviceId => !deviceIds.includes(deviceId) && !accountDeviceIds.has(deviceId)).forEach(deviceId => {
+                debug(chalk.yellow(`  Removing saved settings for device no longer found in account: ${deviceId}`))
+                state.deleteDeviceSavedState(deviceId)
+            })
+        }
+    }
+
     // Return supported device
     async getDevice(device, allDevices, events) {
+        if (this.isDeviceExcluded(device)) {
+            return 'excluded'
+        }
+
         const deviceInfo = {
             device: device,
             ...allDevices.filter(d => d.data.parentZid === device.id).length
@@ -403,8 +799,31 @@ export default new class RingMqtt {
         return "not-supported"
     }
 
+    // Check device against the include/exclude filters from the config
+    isDeviceExcluded(device) {
+        const config = utils.config()
+        const deviceIds = [ device.id, device.data?.device_id ].filter(id => id !== undefined).map(String)
+        const deviceType = device.deviceType ?? ''
+
+        const matchesDevice = (patterns) => patterns.some(pattern =>
+            deviceIds.includes(String(pattern)) || (device.name && utils.matchGlob(device.name, pattern))
+        )
+        const matchesType = (patterns) => patterns.some(pattern => utils.matchGlob(deviceType, pattern))
+
+        if (config.include_devices.length > 0 && !matchesDevice(config.include_devices)) {
+            return true
+        }
+        if (config.include_device_types.length > 0 && !matchesType(config.include_device_types)) {
+            return true
+        }
+        return matchesDevice(config.exclude_devices) || matchesType(config.exclude_device_types)
+    }
+
     // Loop through each location and publish supported devices
     async publishLocations() {
+        // Publish the ring-mqtt bridge device
+        this.bridge.publish()
+
         // For each location get existing alarm & camera devices
         this.locations.forEach(async location => {
             const devices = await this.devices.filter(d => d.locationId == location.locationId)
@@ -468,4 +887,12 @@ export default new class RingMqtt {
     async go2rtcShutdown() {
         await go2rtc.shutdown()
     }
+
+    // Stop continuous recordings so the current segments are closed before exit
+    stopRecordings() {
+        this.devices.filter(device => device.device instanceof RingCamera).forEach(camera => {
+            camera.shutdown = true
+            camera.stopRecording()
+        })
+    }
 }
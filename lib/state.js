@@ -1,22 +1,46 @@
 import chalk from 'chalk'
 import fs from 'fs'
-import { readFile } from 'fs/promises'
+import { readFile, rename, copyFile, rm } from 'fs/promises'
 import { dirname } from 'path'
 import { fileURLToPath } from 'url'
 import utils from './utils.js'
-import { createHash, randomBytes } from 'crypto'
+import { createHash, randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'crypto'
 import writeFileAtomic from 'write-file-atomic'
 import debugModule from 'debug'
 const debug = debugModule('ring-mqtt')
 
+const STATE_BACKUP_COUNT = 5
+const STATE_BACKUP_INTERVAL = 24 * 3600000
+
+// Migrations applied in order to upgrade state data to the current schema version,
+// state files without a schema version are version 0
+const migrations = [
+    // 1: Remove legacy push credentials and convert legacy device array and missing discovery data
+    (data) => {
+        delete data.push_credentials
+        if (!data.hasOwnProperty('devices') || Array.isArray(data.devices)) {
+            data.devices = {}
+        }
+        if (!data.hasOwnProperty('discovery')) {
+            data.discovery = {}
+        }
+    }
+]
+const STATE_SCHEMA_VERSION = migrations.length
+
 export default new class State {
     constructor() {
         this.valid = false
         this.writeScheduled = false
+        this.lastBackupTime = 0
+        this.key = null
+        this.salt = null
+        this.importedDevices = new Set()
         this.data = {
             ring_token: '',
             systemId: '',
-            devices: {}
+            devices: {},
+            discovery: {}
         }
     }
 
@@ -24,43 +48,121 @@ export default new class State {
         this.file = (process.env.RUNMODE === 'standard')
             ? dirname(fileURLToPath(new URL('.', import.meta.url)))+'/ring-state.json'
             : '/data/ring-state.json'
+        this.key = this.loadStateKey()
         await this.loadStateData()
+    }
 
-        // Only temporary to remove any legacy values from state file
-        if (this.data.hasOwnProperty('push_credentials')) {
-            delete this.data.push_credentials
-            await this.saveStateFile()
-        }
+    // Backups are rotated on the first successful save after startup, which includes any
+    // migrated data, and then at most once a day. ring-state.1.json is the most recent.
+    getBackupFile(index) {
+        return this.file.replace(/\.json$/, `.${index}.json`)
+    }
+
+    async readStateFile(file) {
+        const fileData = JSON.parse(await readFile(file))
+        const encrypted = fileData.hasOwnProperty('encrypted')
+        return { data: encrypted ? this.decryptStateData(fileData, file) : fileData, encrypted }
     }
 
     async loadStateData() {
         if (fs.existsSync(this.file)) {
             debug('Reading latest data from state file: '+this.file)
+            let stateFile
             try {
-                this.data = JSON.parse(await readFile(this.file))
-                this.valid = true
-                if (!this.data.hasOwnProperty('systemId')) {
-                    this.data.systemId = (createHash('sha256').update(randomBytes(32)).digest('hex'))
-                }
-                // Convert legacy state file with empty device array
-                if (!this.data.hasOwnProperty('devices') || Array.isArray(this.data.devices)) {
-                    this.data.devices = {}
-                }
+                stateFile = await this.readStateFile(this.file)
             } catch (err) {
-                debug(err.message)
+                debug(chalk.red(err.message))
                 debug(chalk.red('Saved state file exist but could not be parsed!'))
-                await this.initStateData()
+                stateFile = await this.recoverStateData(err)
+                if (!stateFile) {
+                    await this.initStateData()
+                    return
+                }
+            }
+
+            this.data = stateFile.data
+            this.valid = true
+            if (!this.data.hasOwnProperty('systemId')) {
+                this.data.systemId = (createHash('sha256').update(randomBytes(32)).digest('hex'))
+            }
+
+            const migrated = this.migrateStateData()
+            if (this.key && !stateFile.encrypted) {
+                debug('Encrypting existing plaintext state file with the configured state key')
+                await this.removeBackups()
+                this.saveStateFile()
+            } else if (migrated || stateFile.recovered) {
+                this.saveStateFile()
             }
         } else {
             await this.initStateData()
         }
     }
 
+    // Attempt to load state data from the newest valid backup file. Encrypted state files are
+    // never replaced if the key is missing or incorrect, as they still hold the refresh token.
+    async recoverStateData(err) {
+        if (err.stateKeyError && !this.key) {
+            process.exit(1)
+        }
+        for (let index = 1; index <= STATE_BACKUP_COUNT; index++) {
+            const backupFile = this.getBackupFile(index)
+            if (!fs.existsSync(backupFile)) { continue }
+            try {
+                const backupFileData = await this.readStateFile(backupFile)
+                debug(chalk.yellow(`Recovered state data from backup file: ${backupFile}`))
+                return { ...backupFileData, recovered: true }
+            } catch (backupErr) {
+                debug(chalk.yellow(`Backup state file ${backupFile} could not be parsed: ${backupErr.message}`))
+            }
+        }
+        if (err.stateKeyError) {
+            process.exit(1)
+        }
+        return false
+    }
+
+    // Apply schema migrations to state data saved by older versions
+    migrateStateData() {
+        const version = this.data.schema_version || 0
+        if (version >= STATE_SCHEMA_VERSION) {
+            return false
+        }
+        migrations.slice(version).forEach((migration, index) => {
+            debug(`Migrating state data to schema version ${version + index + 1}`)
+            migration(this.data)
+        })
+        this.data.schema_version = STATE_SCHEMA_VERSION
+        return true
+    }
+
     async initStateData() {
         this.data.systemId = (createHash('sha256').update(randomBytes(32)).digest('hex'))
+        this.data.schema_version = STATE_SCHEMA_VERSION
         debug(chalk.yellow('State file '+this.file+' not found. No saved state data available.'))
     }
 
+    // Plaintext backups are removed when the state file is first encrypted
+    async removeBackups() {
+        for (let index = 1; index <= STATE_BACKUP_COUNT; index++) {
+            await rm(this.getBackupFile(index), { force: true })
+        }
+    }
+
+    async rotateBackups() {
+        try {
+            for (let index = STATE_BACKUP_COUNT - 1; index > 0; index--) {
+                if (fs.existsSync(this.getBackupFile(index))) {
+                    await rename(this.getBackupFile(index), this.getBackupFile(index + 1))
+                }
+            }
+            await copyFile(this.file, this.getBackupFile(1))
+            this.lastBackupTime = Date.now()
+        } catch (err) {
+            debug(chalk.yellow('Failed to rotate state file backups: '+err.message))
+        }
+    }
+
     async saveStateFile() {
         // The writeScheduled flag is a hack to keep from writing too often when there are burst
         // of state updates such as during startup. If a state file update is already scheduled
@@ -70,8 +172,12 @@ export default new class State {
             await utils.sleep(1)
             this.writeScheduled = false
             try {
-                await writeFileAtomic(this.file, JSON.stringify(this.data))
+                const fileData = this.key ? this.encryptStateData(JSON.stringify(this.data)) : this.data
+                await writeFileAtomic(this.file, JSON.stringify(fileData))
                 debug('Successfully saved updated state file: '+this.file)
+                if (Date.now() - this.lastBackupTime >= STATE_BACKUP_INTERVAL) {
+                    await this.rotateBackups()
+                }
             } catch (err) {
                 debug(chalk.red('Failed to save updated state file: '+this.file))
                 debug(err.message)
@@ -79,13 +185,96 @@ export default new class State {
         }
     }
 
-    updateToken(newRefreshToken) {
+    // Optional key for at-rest encryption of the state file, read from the RINGMQTT_STATE_KEY
+    // environment variable or from the file set in RINGMQTT_STATE_KEY_FILE
+    loadStateKey() {
+        let key = process.env.RINGMQTT_STATE_KEY
+        if (!key && process.env.RINGMQTT_STATE_KEY_FILE) {
+            try {
+                key = fs.readFileSync(process.env.RINGMQTT_STATE_KEY_FILE, 'utf8').trim()
+            } catch (err) {
+                debug(chalk.red(`Unable to read state key file ${process.env.RINGMQTT_STATE_KEY_FILE}: ${err.message}`))
+                process.exit(1)
+            }
+        }
+        // Child processes such as go2rtc inherit the environment and don't need the key
+        delete process.env.RINGMQTT_STATE_KEY
+        if (key) {
+            debug('State file encryption is enabled')
+        }
+        return key || null
+    }
+
+    stateKeyError(message) {
+        const err = new Error(message)
+        err.stateKeyError = true
+        return err
+    }
+
+    // Derive the AES-256 key from the configured state key, scrypt is slow so the derived key is cached per salt
+    getCipherKey(salt) {
+        if (!this.salt || !this.salt.equals(salt)) {
+            this.salt = salt
+            this.cipherKey = scryptSync(this.key, salt, 32)
+        }
+        return this.cipherKey
+    }
+
+    encryptStateData(plaintext) {
+        const salt = this.salt || randomBytes(16)
+        const iv = randomBytes(12)
+        const cipher = createCipheriv('aes-256-gcm', this.getCipherKey(salt), iv)
+        const data = Buffer.concat([ cipher.update(plaintext, 'utf8'), cipher.final() ])
+        return {
+            encrypted: 'aes-256-gcm',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        }
+    }
+
+    decryptStateData(fileData, file = this.file) {
+        if (!this.key) {
+            throw this.stateKeyError(`State file ${file} is encrypted but no state key was provided, set RINGMQTT_STATE_KEY or RINGMQTT_STATE_KEY_FILE`)
+        }
+        if (fileData.encrypted !== 'aes-256-gcm') {
+            throw this.stateKeyError(`State file ${file} uses unsupported encryption ${fileData.encrypted}`)
+        }
+        try {
+            const decipher = createDecipheriv('aes-256-gcm', this.getCipherKey(Buffer.from(fileData.salt, 'base64')), Buffer.from(fileData.iv, 'base64'))
+            decipher.setAuthTag(Buffer.from(fileData.tag, 'base64'))
+            const plaintext = Buffer.concat([ decipher.update(Buffer.from(fileData.data, 'base64')), decipher.final() ])
+            return JSON.parse(plaintext.toString('utf8'))
+        } catch {
+            throw this.stateKeyError(`Unable to decrypt state file ${file}, the state key is incorrect or the file is corrupted`)
+        }
+    }
+
+    // Generated tokens reset the token creation time, token refreshes only update the last refresh time
+    updateToken(newRefreshToken, { generated = false, refreshed = true } = {}) {
         debug('Saving updated refresh token to state file')
         this.data.ring_token = newRefreshToken
+        if (generated) {
+            this.data.token_created = Date.now()
+        }
+        if (generated || refreshed) {
+            this.data.token_refreshed = Date.now()
+        }
+        this.saveStateFile()
+    }
+
+    clearToken() {
+        debug('Removing refresh token from state file')
+        this.data.ring_token = ''
+        delete this.data.token_created
+        delete this.data.token_refreshed
         this.saveStateFile()
     }
 
     setDeviceSavedState(deviceId, stateData) {
+        // Running devices still hold their previous settings, so don't let them overwrite imported settings
+        if (this.importedDevices.has(deviceId)) { return }
         this.data.devices[deviceId] = stateData
         this.saveStateFile()
     }
@@ -97,4 +286,59 @@ export default new class State {
     getAllSavedStates() {
         return this.data.devices
     }
+
+    // Track discovery config topics published for each device so that entities and devices
+    // which no longer exist can be removed from Home Assistant
+    setDeviceDiscoveryTopics(deviceId, topics) {
+        const savedTopics = this.getDeviceDiscoveryTopics(deviceId)
+        if (savedTopics.length !== topics.length || savedTopics.some(topic => !topics.includes(topic))) {
+            this.data.discovery[deviceId] = topics
+            this.saveStateFile()
+        }
+    }
+
+    getDeviceDiscoveryTopics(deviceId) {
+        return this.data.discovery.hasOwnProperty(deviceId) ? this.data.discovery[deviceId] : []
+    }
+
+    getAllDiscoveryTopics() {
+        return this.data.discovery
+    }
+
+    // Saved device settings (bypass modes, snapshot modes, durations, etc.) for backup or transfer
+    exportDeviceSettings() {
+        return {
+            schema_version: STATE_SCHEMA_VERSION,
+            exported: utils.getISOTime(Date.now()),
+            devices: this.data.devices
+        }
+    }
+
+    // Imported settings replace the saved settings of each included device and are applied
+    // when the devices are next initialized, until then setting changes of these devices aren't saved
+    importDeviceSettings(settings) {
+        const devices = settings?.devices
+        if (typeof devices !== 'object' || devices === null || Array.isArray(devices) ||
+            Object.values(devices).some(stateData => typeof stateData !== 'object' || stateData === null || Array.isArray(stateData))) {
+            throw new Error('Invalid device settings, expected a "devices" object with saved settings keyed by device ID')
+        }
+        if (settings.schema_version > STATE_SCHEMA_VERSION) {
+            throw new Error(`Device settings were exported from a newer state schema version (${settings.schema_version})`)
+        }
+        Object.assign(this.data.devices, devices)
+        Object.keys(devices).forEach(deviceId => this.importedDevices.add(deviceId))
+        this.saveStateFile()
+        debug(chalk.yellow(`Imported saved settings for ${Object.keys(devices).length} devices, restart ring-mqtt to apply them`))
+        return Object.keys(devices)
+    }
+
+    deleteDeviceSavedState(deviceId) {
+        delete this.data.devices[deviceId]
+        this.saveStateFile()
+    }
+
+    deleteDeviceDiscoveryTopics(deviceId) {
+        delete this.data.discovery[deviceId]
+        this.saveStateFile()
+    }
 }
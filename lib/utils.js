@@ -57,6 +57,15 @@ class Utils {
     }
   }
 
+  // Simple case-insensitive glob match supporting * and ? wildcards
+  matchGlob(value, pattern) {
+    const regex = String(pattern)
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.')
+    return new RegExp(`^${regex}$`, 'i').test(String(value))
+  }
+
   isNumeric(num) {
     return !isNaN(parseFloat(num)) && isFinite(num)
   }
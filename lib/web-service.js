@@ -1,27 +1,44 @@
 import { RingRestClient } from 'ring-client-api/rest-client'
+import { RingCamera } from 'ring-client-api'
 import utils from './utils.js'
+import ring from './ring.js'
+import state from './state.js'
+import { configSchema } from './config-schema.js'
+import metrics from './metrics.js'
+import health from './health.js'
 import express from 'express'
+import https from 'https'
+import fs from 'fs'
+import crypto from 'crypto'
 import bodyParser from 'body-parser'
 import chalk from 'chalk'
 import debugModule from 'debug'
 import { webTemplate } from './web-template.js'
+import { dashboardTemplate } from './dashboard-template.js'
 
 const debug = debugModule('ring-mqtt')
 
+// The container healthcheck reads the URL of the health endpoint from this file as the
+// web service may only be listening on a specific interface
+const HEALTH_URL_FILE = '/run/ring-mqtt-healthz.url'
+
 class WebService {
     constructor() {
         this.app = express()
         this.listener = null
         this.ringConnected = false
+        this.dashboardClients = new Set()
         this.initializeEventListeners()
     }
 
     initializeEventListeners() {
-        utils.event.on('ring_api_state', async (state) => {
+        utils.event.on('ring_api_state', (state) => {
             this.ringConnected = state === 'connected'
+        })
 
-            if (this.ringConnected && process.env.RUNMODE !== 'addon') {
-                await this.stop()
+        utils.event.on('mqtt_publish', (topic) => {
+            if (this.dashboardClients.size > 0) {
+                this.sendDashboardUpdates(topic)
             }
         })
     }
@@ -56,21 +73,294 @@ class WebService {
         }
     }
 
+    // The web service always runs to serve the health endpoints, but outside of the addon the
+    // token generation UI is only available until ring-mqtt successfully connects to Ring,
+    // unless the web UI is protected by authentication
+    get accountSetupEnabled() {
+        return process.env.RUNMODE === 'addon' || !this.ringConnected || this.webAuthEnabled
+    }
+
+    get webAuthEnabled() {
+        const { web_auth_username, web_auth_password, web_auth_token } = utils.config()
+        return Boolean((web_auth_username && web_auth_password) || web_auth_token)
+    }
+
+    // Returns 404 for the token generation UI routes when they are disabled
+    requireAccountSetup(req, res, next) {
+        if (this.accountSetupEnabled) {
+            next()
+        } else {
+            res.status(404).send('Not Found')
+        }
+    }
+
+    // Compare secrets in constant time to avoid leaking them through response timing
+    safeEqual(value, secret) {
+        const valueHash = crypto.createHash('sha256').update(String(value)).digest()
+        const secretHash = crypto.createHash('sha256').update(String(secret)).digest()
+        return crypto.timingSafeEqual(valueHash, secretHash)
+    }
+
+    // Require HTTP basic auth and/or a bearer token if configured. The health endpoints are
+    // always accessible so container healthchecks do not need credentials.
+    authenticate(req, res, next) {
+        const { web_auth_username, web_auth_password, web_auth_token } = utils.config()
+        const basicEnabled = Boolean(web_auth_username && web_auth_password)
+
+        if (!this.webAuthEnabled || [ '/healthz', '/readyz' ].includes(req.path)) {
+            next()
+            return
+        }
+
+        const [ scheme, credentials ] = (req.headers.authorization || '').split(' ')
+        if (web_auth_token && scheme?.toLowerCase() === 'bearer' && credentials && this.safeEqual(credentials, web_auth_token)) {
+            next()
+            return
+        }
+
+        if (basicEnabled && scheme?.toLowerCase() === 'basic' && credentials) {
+            const decoded = Buffer.from(credentials, 'base64').toString()
+            const separator = decoded.indexOf(':')
+            const username = decoded.slice(0, separator)
+            const password = decoded.slice(separator + 1)
+            // Always compare both values so failed attempts take the same time
+            const validUsername = this.safeEqual(username, web_auth_username)
+            const validPassword = this.safeEqual(password, web_auth_password)
+            if (separator >= 0 && validUsername && validPassword) {
+                next()
+                return
+            }
+        }
+
+        debug(chalk.yellow(`Rejected unauthenticated web request for ${req.path} from ${req.ip}`))
+        if (basicEnabled) {
+            res.set('WWW-Authenticate', 'Basic realm="ring-mqtt", charset="UTF-8"')
+        }
+        res.status(401).json({ error: 'Authentication required' })
+    }
+
+    // Reject cross-site POST requests, browsers always send an Origin header with these so a
+    // third party web page can't use a logged in browser to change state. Clients that are not
+    // browsers don't usually send the header and are only subject to authentication.
+    checkOrigin(req, res, next) {
+        const origin = req.headers.origin || req.headers.referer
+        if (origin) {
+            const hosts = [ req.headers.host, ...(req.headers['x-forwarded-host'] || '').split(',') ]
+                .map(host => host?.trim()).filter(Boolean)
+            let originHost
+            try {
+                originHost = new URL(origin).host
+            } catch {
+                originHost = null
+            }
+            if (!hosts.includes(originHost)) {
+                debug(chalk.yellow(`Rejected cross-origin web request for ${req.path} from ${origin}`))
+                res.status(403).json({ error: 'Cross-origin requests are not allowed' })
+                return
+            }
+        }
+        next()
+    }
+
+    // All published devices, including the ring-mqtt bridge device
+    getDevices() {
+        return [ ...ring.bridge ? [ ring.bridge ] : [], ...ring.devices ]
+    }
+
+    // Find a device by ID, including the ring-mqtt bridge device
+    getApiDevice(deviceId) {
+        return this.getDevices().find(d => d.deviceId === deviceId)
+    }
+
+    setupApiRoutes(router) {
+        // Only accept JSON request bodies, browsers can't send these cross-site without a CORS
+        // preflight so a third party web page can't submit commands through the API
+        router.post('/api/*', (req, res, next) => {
+            if (!req.is('application/json')) {
+                res.status(415).json({ error: 'API requests must use Content-Type: application/json' })
+                return
+            }
+            next()
+        })
+
+        router.get('/api/devices', (req, res) => {
+            res.json(this.getDevices().map(device => device.getApiData(false)))
+        })
+
+        router.get('/api/devices/:id', (req, res) => {
+            const device = this.getApiDevice(req.params.id)
+            if (!device) {
+                res.status(404).json({ error: `Device ${req.params.id} was not found` })
+                return
+            }
+            res.json(device.getApiData(true))
+        })
+
+        // Option types, defaults and descriptions for configuration interfaces
+        router.get('/api/config/schema', (req, res) => {
+            res.json(configSchema)
+        })
+
+        router.get('/api/state/devices', (req, res) => {
+            res.set('Content-Disposition', 'attachment; filename="ring-mqtt-device-settings.json"')
+            res.json(state.exportDeviceSettings())
+        })
+
+        router.post('/api/state/devices', (req, res) => {
+            try {
+                const devices = state.importDeviceSettings(req.body)
+                res.json({ success: true, restart_required: true, devices, message: 'Restart ring-mqtt now to apply the imported device settings, setting changes of these devices are not saved until then' })
+            } catch (err) {
+                res.status(400).json({ success: false, error: err.message })
+            }
+        })
+
+        // Request body uses the same format as the entity value of the device JSON set topic,
+        // either {"value": "ON"} for the main entity command or {"state": "ON", "brightness": 50}
+        router.post('/api/devices/:id/:entity', async (req, res) => {
+            const device = this.getApiDevice(req.params.id)
+            if (!device) {
+                res.status(404).json({ error: `Device ${req.params.id} was not found` })
+                return
+            }
+            if (!device.entity.hasOwnProperty(req.params.entity)) {
+                res.status(404).json({ error: `Entity ${req.params.entity} was not found for device ${req.params.id}` })
+                return
+            }
+            const body = req.body || {}
+            const value = Object.keys(body).length === 1 && body.hasOwnProperty('value') ? body.value : body
+            const result = await device.executeSetCommand(JSON.stringify({ [req.params.entity]: value }))
+            res.status(result.success ? 200 : 400).json(result)
+        })
+    }
+
+    getDashboardData() {
+        return {
+            locations: ring.locations.map(location => ({
+                id: location.locationId,
+                name: location.name,
+                websocket: location.hasHubs ? Boolean(location.onConnected._value) : null
+            })),
+            devices: this.getDevices().map(device => device.getApiData(true))
+        }
+    }
+
+    // Send updated state of the entities using a published topic to connected dashboard clients.
+    // Entities using a parent state topic (e.g. battery/wireless from info) are all updated.
+    sendDashboardUpdates(topic) {
+        for (const device of this.getDevices()) {
+            if (!device.publishedValues[topic]) { continue }
+            if (topic === device.availabilityTopic) {
+                this.sendDashboardEvent({ type: 'availability', id: device.deviceId, availability: device.availabilityState })
+                continue
+            }
+            Object.keys(device.entity).filter(entityKey => {
+                return Object.keys(device.entity[entityKey]).some(key => key.match(/topic$/) && device.entity[entityKey][key] === topic)
+            }).forEach(entityKey => {
+                this.sendDashboardEvent({ type: 'entity', id: device.deviceId, entity: entityKey, data: device.getEntityApiData(entityKey) })
+            })
+        }
+    }
+
+    sendDashboardEvent(data) {
+        for (const client of this.dashboardClients) {
+            client.write(`data: ${JSON.stringify(data)}\n\n`)
+        }
+    }
+
+    setupDashboardRoutes(router) {
+        router.get('/dashboard', (req, res) => {
+            res.send(dashboardTemplate)
+        })
+
+        router.get('/dashboard/data', (req, res) => {
+            res.json(this.getDashboardData())
+        })
+
+        // Server-Sent Events stream of live state updates, fed by the same MQTT publish events used by devices
+        router.get('/dashboard/events', (req, res) => {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            })
+            res.flushHeaders()
+            res.write('retry: 5000\n\n')
+            this.dashboardClients.add(res)
+
+            // Keep the connection open through proxies that close idle connections
+            const keepAlive = setInterval(() => { res.write(': keepalive\n\n') }, 30000)
+            req.on('close', () => {
+                clearInterval(keepAlive)
+                this.dashboardClients.delete(res)
+            })
+        })
+    }
+
+    // Serve the cached snapshot of a camera, optionally requesting an updated snapshot first.
+    // Refresh requests share the rate limit of the Take Snapshot button.
+    async handleSnapshotRequest(req, res) {
+        const camera = ring.devices.find(device => device.device instanceof RingCamera && device.deviceId === req.params.deviceId)
+        if (!camera) {
+            res.status(404).json({ error: 'Camera not found' })
+            return
+        }
+
+        if (req.query.refresh && req.query.refresh !== '0') {
+            if (camera.data.snapshot.onDemandTimestamp + 10 > Math.round(Date.now()/1000)) {
+                debug(`Snapshot refresh for camera ${camera.deviceId} requested within 10 seconds of the last on-demand snapshot, returning cached snapshot`)
+            } else {
+                camera.data.snapshot.onDemandTimestamp = Math.round(Date.now()/1000)
+                if (!await camera.refreshSnapshot('on-demand')) {
+                    debug(`Snapshot refresh for camera ${camera.deviceId} failed, returning cached snapshot`)
+                }
+            }
+        }
+
+        if (!camera.data.snapshot.cache) {
+            res.status(503).json({ error: 'No snapshot is available for this camera' })
+            return
+        }
+
+        res.set({
+            'Content-Type': 'image/jpeg',
+            'Cache-Control': 'no-cache',
+            'Last-Modified': new Date(camera.data.snapshot.timestamp * 1000).toUTCString()
+        })
+        res.send(camera.data.snapshot.cache)
+    }
+
     setupRoutes() {
         let restClient
+        this.app.use(this.authenticate.bind(this))
+        this.app.post('*', this.checkOrigin.bind(this))
         this.app.use(bodyParser.urlencoded({ extended: false }))
         this.app.use(bodyParser.json())
 
         const router = express.Router()
+        const accountSetup = this.requireAccountSetup.bind(this)
+
+        router.get('/healthz', (req, res) => {
+            const { code, report } = health.getReport('live')
+            res.status(code).json(report)
+        })
 
-        router.get('/get-state', (req, res) => {
+        router.get('/readyz', (req, res) => {
+            const { code, report } = health.getReport('ready')
+            res.status(code).json(report)
+        })
+
+        router.get('/get-state', accountSetup, (req, res) => {
             res.json({
                 connected: this.ringConnected,
-                displayName: this.displayName
+                displayName: this.displayName,
+                dashboard: Boolean(utils.config().enable_dashboard),
+                token: ring.getTokenStatus()
             })
         })
 
-        router.post('/submit-account', async (req, res) => {
+        router.post('/submit-account', accountSetup, async (req, res) => {
             restClient = new RingRestClient({
                 email: req.body.email,
                 password: req.body.password,
@@ -80,15 +370,74 @@ class WebService {
             await this.handleAccountSubmission(req, res, restClient)
         })
 
-        router.post('/submit-code', async (req, res) => {
+        router.post('/submit-code', accountSetup, async (req, res) => {
             await this.handleCodeSubmission(req, res, restClient)
         })
 
+        router.post('/refresh-token', accountSetup, async (req, res) => {
+            if (!await ring.refreshAuth()) {
+                res.status(400).json({ error: 'Failed to refresh authentication using the current refresh token, please reauthenticate' })
+                return
+            }
+            res.json({ success: true, token: ring.getTokenStatus() })
+        })
+
+        router.post('/logout', accountSetup, async (req, res) => {
+            try {
+                await ring.logout()
+            } catch (err) {
+                res.status(400).json({ error: `The saved token was removed. ${err.message}` })
+                return
+            }
+            res.json({ success: true })
+        })
+
+        router.post('/rediscover', accountSetup, (req, res) => {
+            if (!this.ringConnected) {
+                res.status(400).json({ error: 'ring-mqtt is not connected to a Ring account' })
+                return
+            }
+            utils.event.emit('rediscover_devices')
+            res.json({ success: true })
+        })
+
+        router.post('/reload-config', accountSetup, async (req, res) => {
+            const result = await ring.reloadConfig()
+            res.status(result.success ? 200 : 400).json(result)
+        })
+
+        if (utils.config().enable_api) {
+            if (this.webAuthEnabled) {
+                this.setupApiRoutes(router)
+            } else {
+                debug(chalk.yellow('The local REST API requires web_auth_username/web_auth_password or web_auth_token to be configured, the API will not be enabled'))
+            }
+        }
+
+        if (utils.config().enable_dashboard) {
+            this.setupDashboardRoutes(router)
+        }
+
+        if (utils.config().enable_snapshot_urls) {
+            router.get('/snapshot/:deviceId.jpg', this.handleSnapshotRequest.bind(this))
+        }
+
+        if (utils.config().enable_metrics) {
+            router.get('/metrics', async (req, res) => {
+                try {
+                    res.set('Content-Type', metrics.contentType)
+                    res.send(await metrics.getMetrics(this.getDevices(), ring.locations))
+                } catch (err) {
+                    res.status(500).send(err.message)
+                }
+            })
+        }
+
         // Mount router at base URL
         this.app.use('/', router)
 
         // Serve the static HTML
-        this.app.get('*', (req, res) => {
+        this.app.get('*', accountSetup, (req, res) => {
             res.send(webTemplate)
         })
     }
@@ -103,11 +452,63 @@ class WebService {
 
         this.setupRoutes()
 
-        this.listener = this.app.listen(55123, () => {
-            debug('Successfully started the ring-mqtt web UI')
+        const { web_bind_address, web_tls_cert, web_tls_key } = utils.config()
+        let server = this.app
+        if (web_tls_cert || web_tls_key) {
+            try {
+                server = https.createServer({
+                    cert: fs.readFileSync(web_tls_cert),
+                    key: fs.readFileSync(web_tls_key)
+                }, this.app)
+            } catch (err) {
+                debug(chalk.red(`Unable to load the web UI TLS certificate or key: ${err.message}`))
+                debug(chalk.red('Please verify the web_tls_cert and web_tls_key settings, ring-mqtt will not start with an unsecured web UI.'))
+                process.exit(1)
+            }
+        }
+
+        // Listen on all interfaces unless an address is configured
+        const bindAddress = web_bind_address || undefined
+        const protocol = server === this.app ? 'http' : 'https'
+        const host = bindAddress || '<host_ip_address>'
+        this.listener = server.listen(55123, bindAddress, () => {
+            debug(`Successfully started the ring-mqtt web service on ${protocol}://${host}:55123`)
+            if (!this.webAuthEnabled && process.env.RUNMODE !== 'addon') {
+                debug(chalk.yellow('Web UI authentication is not configured, set web_auth_username/web_auth_password or web_auth_token, or set web_bind_address to 127.0.0.1 to only accept local connections'))
+            }
+            debug(`Health and readiness endpoints are available at ${protocol}://${host}:55123/healthz and /readyz`)
+            if (process.env.RUNMODE !== 'standard') {
+                this.writeHealthUrl(protocol, bindAddress)
+            }
+            if (utils.config().enable_api && this.webAuthEnabled) {
+                debug(`Local REST API is enabled at ${protocol}://${host}:55123/api/devices`)
+            }
+            if (utils.config().enable_dashboard) {
+                debug(`Device dashboard is available at ${protocol}://${host}:55123/dashboard`)
+            }
+            if (utils.config().enable_snapshot_urls) {
+                debug(`Camera snapshots are available at ${protocol}://${host}:55123/snapshot/<device_id>.jpg`)
+            }
+            if (utils.config().enable_metrics) {
+                debug(`Prometheus metrics are available at ${protocol}://${host}:55123/metrics`)
+            }
+        })
+        this.listener.on('error', (err) => {
+            debug(chalk.red(`Failed to start the ring-mqtt web service: ${err.message}`))
         })
     }
 
+    writeHealthUrl(protocol, bindAddress) {
+        const host = !bindAddress || bindAddress.match(/^(0\.0\.0\.0|::)$/)
+            ? 'localhost'
+            : bindAddress.includes(':') ? `[${bindAddress}]` : bindAddress
+        try {
+            fs.writeFileSync(HEALTH_URL_FILE, `${protocol}://${host}:55123/healthz\n`)
+        } catch (err) {
+            debug(chalk.yellow(`Unable to write the health endpoint URL for the container healthcheck: ${err.message}`))
+        }
+    }
+
     async stop() {
         if (this.listener) {
             await this.listener.close()
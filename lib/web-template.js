@@ -288,7 +288,7 @@ export const webTemplate = `<!DOCTYPE html>
             margin-bottom: 1.5rem;
         }
 
-        #reauth {
+        #reauth, #rediscover, #reloadConfig, #tokenMessage .button-group {
             margin-top: 1rem;
         }
 
@@ -314,11 +314,38 @@ export const webTemplate = `<!DOCTYPE html>
             <p class="message">It appears that <strong>ring-mqtt</strong> is already connected to a Ring account.</p>
         </div>
 
+        <div id="tokenMessage" class="hidden">
+            <p class="message">
+                Refresh token status: <strong id="tokenStatus"></strong><br>
+                Created: <span id="tokenCreated"></span><br>
+                Last refresh: <span id="tokenRefreshed"></span>
+            </p>
+            <div class="button-group">
+                <button type="button" class="submit-button" id="refreshToken">Refresh Token</button>
+                <button type="button" class="back-button" id="logout">Log Out</button>
+            </div>
+        </div>
+
         <div id="reauthMessage" class="hidden">
             <p class="message">If you wish to force reauthentication, for example, to change the account used by this addon, click the button below to restart the authentication process.</p>
             <button id="reauth">Force Reauthentication</button>
         </div>
 
+        <div id="dashboardMessage" class="hidden">
+            <p class="message">The status of all devices published by <strong>ring-mqtt</strong> is available on the <a href="dashboard">device dashboard</a>.</p>
+        </div>
+
+        <div id="rediscoverMessage" class="hidden">
+            <p class="message">If devices have been added to the Ring account since <strong>ring-mqtt</strong> was started, click the button below to discover and publish them.</p>
+            <button id="rediscover">Rediscover Devices</button>
+        </div>
+
+        <div id="reloadMessage" class="hidden">
+            <p class="message">After changing the <strong>ring-mqtt</strong> configuration, click the button below to apply changes that do not require a restart.</p>
+            <button id="reloadConfig">Reload Configuration</button>
+            <p class="message hidden" id="reloadResult"></p>
+        </div>
+
         <form id="loginForm" class="hidden">
             <div class="form-group">
                 <label>Email Address</label>
@@ -369,6 +396,13 @@ export const webTemplate = `<!DOCTYPE html>
                 nameSpan.textContent = name;
                 element.appendChild(nameSpan);
             }
+
+            static setTokenStatus(token) {
+                const age = token.age_days !== null ? ' (' + token.age_days + ' days ago)' : '';
+                document.querySelector('#tokenStatus').textContent = token.status;
+                document.querySelector('#tokenCreated').textContent = token.created ? new Date(token.created).toLocaleString() + age : 'unknown';
+                document.querySelector('#tokenRefreshed').textContent = token.last_refresh ? new Date(token.last_refresh).toLocaleString() : 'unknown';
+            }
         }
 
         class ErrorHandler {
@@ -432,6 +466,46 @@ export const webTemplate = `<!DOCTYPE html>
                 }
                 return data;
             }
+
+            static async refreshToken() {
+                const response = await fetch('refresh-token', { method: 'POST' });
+
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error);
+                }
+                return data;
+            }
+
+            static async logout() {
+                const response = await fetch('logout', { method: 'POST' });
+
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error);
+                }
+                return data;
+            }
+
+            static async rediscoverDevices() {
+                const response = await fetch('rediscover', { method: 'POST' });
+
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error);
+                }
+                return data;
+            }
+
+            static async reloadConfig() {
+                const response = await fetch('reload-config', { method: 'POST' });
+
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.errors ? data.errors.join(', ') : data.error);
+                }
+                return data;
+            }
         }
 
         class AuthForm {
@@ -505,11 +579,71 @@ export const webTemplate = `<!DOCTYPE html>
                     sessionStorage.setItem('forceReauth', 'true');
                     UIState.hideElement('#connectedMessage');
                     UIState.hideElement('#reauthMessage');
+                    UIState.hideElement('#rediscoverMessage');
+                    UIState.hideElement('#reloadMessage');
+                    UIState.hideElement('#dashboardMessage');
+                    UIState.hideElement('#tokenMessage');
                     UIState.showElement('#loginForm');
                 } catch (err) {
                     ErrorHandler.show('Failed to initiate reauthentication');
                 }
             }
+
+            static async handleRefreshToken(event) {
+                try {
+                    const data = await AuthService.refreshToken();
+                    ErrorHandler.hide();
+                    UIState.setTokenStatus(data.token);
+                    event.target.textContent = 'Token Refreshed';
+                } catch (err) {
+                    ErrorHandler.show(err.message || 'Failed to refresh token');
+                }
+            }
+
+            static async handleLogout() {
+                if (!confirm('Log out of the Ring account? ring-mqtt will stop working until a new token is generated.')) {
+                    return;
+                }
+                try {
+                    await AuthService.logout();
+                    ErrorHandler.hide();
+                    UIState.hideElement('#connectedMessage');
+                    UIState.hideElement('#reauthMessage');
+                    UIState.hideElement('#rediscoverMessage');
+                    UIState.hideElement('#reloadMessage');
+                    UIState.hideElement('#dashboardMessage');
+                    UIState.hideElement('#tokenMessage');
+                    UIState.showElement('#loginForm');
+                } catch (err) {
+                    ErrorHandler.show(err.message || 'Failed to log out');
+                }
+            }
+
+            static async handleRediscover(event) {
+                try {
+                    await AuthService.rediscoverDevices();
+                    ErrorHandler.hide();
+                    event.target.textContent = 'Rediscovery Started';
+                    event.target.disabled = true;
+                } catch (err) {
+                    ErrorHandler.show(err.message || 'Failed to start device rediscovery');
+                }
+            }
+
+            static async handleReloadConfig() {
+                try {
+                    const data = await AuthService.reloadConfig();
+                    ErrorHandler.hide();
+                    const result = document.querySelector('#reloadResult');
+                    result.textContent = [
+                        data.applied.length > 0 ? 'Applied: ' + data.applied.join(', ') + '.' : 'No changes were applied.',
+                        data.restart_required.length > 0 ? 'Restart required for: ' + data.restart_required.join(', ') + '.' : ''
+                    ].join(' ');
+                    UIState.showElement('#reloadResult');
+                } catch (err) {
+                    ErrorHandler.show(err.message || 'Failed to reload configuration');
+                }
+            }
         }
 
         class AuthApp {
@@ -521,12 +655,22 @@ export const webTemplate = `<!DOCTYPE html>
                         UIState.setDisplayName(data.displayName);
                     }
 
+                    if (data.token && data.token.status !== 'missing' && !sessionStorage.getItem('forceReauth')) {
+                        UIState.setTokenStatus(data.token);
+                        UIState.showElement('#tokenMessage');
+                    }
+
                     if (data.connected) {
                         UIState.showElement('#connectedMessage');
                         if (sessionStorage.getItem('forceReauth')) {
                         UIState.showElement('#loginForm');
                         } else {
                         UIState.showElement('#reauthMessage');
+                        UIState.showElement('#rediscoverMessage');
+                        UIState.showElement('#reloadMessage');
+                        }
+                        if (data.dashboard) {
+                        UIState.showElement('#dashboardMessage');
                         }
                     } else {
                         UIState.showElement('#loginForm');
@@ -552,6 +696,18 @@ export const webTemplate = `<!DOCTYPE html>
 
                 document.querySelector('#reauth')
                 .addEventListener('click', AuthForm.handleReauth);
+
+                document.querySelector('#rediscover')
+                .addEventListener('click', AuthForm.handleRediscover);
+
+                document.querySelector('#reloadConfig')
+                .addEventListener('click', AuthForm.handleReloadConfig);
+
+                document.querySelector('#refreshToken')
+                .addEventListener('click', AuthForm.handleRefreshToken);
+
+                document.querySelector('#logout')
+                .addEventListener('click', AuthForm.handleLogout);
             }
         }
 
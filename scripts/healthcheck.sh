@@ -0,0 +1,9 @@
+#!/bin/bash
+# Docker healthcheck for the ring-mqtt web service liveness endpoint
+# The web service writes the URL of the endpoint at startup as it may only listen on
+# a specific interface and/or use HTTPS, the default is used until the file exists
+
+url=$(cat /run/ring-mqtt-healthz.url 2>/dev/null)
+url=${url:-http://localhost:55123/healthz}
+
+curl -fsk "${url}" > /dev/null || exit 1